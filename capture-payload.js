@@ -0,0 +1,173 @@
+/**
+ * Structured capture payload: every part of a user or assistant message, not only text.
+ *
+ * Parts are normalized per OpenCode part type and passed to the capture hooks as
+ * `SAGE_CAPTURE_PAYLOAD_JSON`:
+ *
+ *   { version: 2, role, parts: [...], truncated, omitted }
+ *
+ *   text, reasoning  { type, text }
+ *   tool             { type, tool, callID, status, title, input, output, error }
+ *                    (`input` is JSON text)
+ *   file             { type, mime, filename, path, url }  (never the file data)
+ *   patch            { type, hash, files }
+ *   step-finish      { type, cost, tokens }
+ *   agent            { type, name }
+ *   anything else    { type, data }  (JSON text)
+ *
+ * The message text travels in its own variable (`PROMPT`, `SAGE_RESPONSE`), so text parts
+ * can be left out of the payload; synthetic text parts, which those don't carry, are kept.
+ *
+ * Free text is redacted, then clipped to the limit for its part type (`truncated` counts
+ * clipped fields), and parts past the overall budget are dropped (`omitted` counts them).
+ * A limit of 0 leaves that type's text out entirely.
+ */
+
+/** Bump when the payload shape changes incompatibly. */
+export const CAPTURE_PAYLOAD_VERSION = 2;
+
+/** Default per-type character limits. */
+export const DEFAULT_PART_LIMITS = { text: 20_000, reasoning: 8000, tool: 4000, other: 1000 };
+
+/**
+ * Upper bound, in UTF-8 bytes, for the serialized payload. It travels in an environment
+ * variable, and Linux caps a single one at 128 KiB.
+ */
+export const MAX_PAYLOAD_BYTES = 100_000;
+
+// Longest list of patched files kept per patch part.
+const MAX_PATCH_FILES = 50;
+
+// Room left in the budget for the `truncated` and `omitted` counts.
+const COUNTS_SLACK_BYTES = 32;
+
+const byteLength = (value) => Buffer.byteLength(JSON.stringify(value));
+
+const asText = (value) => {
+  if (value == null) return "";
+  if (typeof value === "string") return value;
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+};
+
+/**
+ * Normalize one OpenCode part. `clip(text, type)` limits and redacts free text; see
+ * `buildCapturePayload`.
+ */
+export function serializePart(part, clip) {
+  const type = part?.type ?? "unknown";
+  switch (type) {
+    case "text":
+    case "reasoning":
+      return {
+        type,
+        text: clip(part.text, type),
+        ...(part.synthetic ? { synthetic: true } : {}),
+      };
+    case "tool": {
+      const state = part.state ?? {};
+      return {
+        type,
+        tool: part.tool ?? null,
+        callID: part.callID ?? null,
+        status: state.status ?? null,
+        title: state.title ?? null,
+        input: clip(asText(state.input), "tool"),
+        output: clip(asText(state.output), "tool"),
+        error: clip(asText(state.error), "tool"),
+      };
+    }
+    case "file":
+      return {
+        type,
+        mime: part.mime ?? null,
+        filename: part.filename ?? null,
+        path: part.source?.path ?? null,
+        // Inline data URLs carry the whole file
+        url: part.url && !part.url.startsWith("data:") ? clip(part.url, "other") : null,
+      };
+    case "patch":
+      return {
+        type,
+        hash: part.hash ?? null,
+        files: (part.files ?? []).slice(0, MAX_PATCH_FILES),
+      };
+    case "step-finish":
+      return { type, cost: part.cost ?? null, tokens: part.tokens ?? null };
+    case "agent":
+      return { type, name: part.name ?? null };
+    default: {
+      const { id, sessionID, messageID, ...rest } = part ?? {};
+      return { type, data: clip(asText(rest), "other") };
+    }
+  }
+}
+
+/**
+ * Build the payload for one message's `parts`.
+ *
+ * `redact(text)` returns `{ text, count, types }` (see redact.js); its results are
+ * returned as `redactions` (`[{ type, result }]` by part type) so callers can report
+ * them. `limits` override DEFAULT_PART_LIMITS per type. With `omitText`, non-synthetic
+ * text parts are left out because the caller sends the message text separately.
+ */
+export function buildCapturePayload({
+  role,
+  parts = [],
+  limits = {},
+  redact = (text) => ({ text, count: 0, types: {} }),
+  omitText = false,
+  maxBytes = MAX_PAYLOAD_BYTES,
+}) {
+  const limitFor = { ...DEFAULT_PART_LIMITS, ...limits };
+  const redactions = [];
+  let truncated = 0;
+
+  const clip = (value, type) => {
+    const text = String(value ?? "");
+    const limit = limitFor[type] ?? limitFor.other;
+    if (!text) return "";
+    if (limit <= 0) {
+      truncated += 1;
+      return "";
+    }
+    // Redact before cutting: a secret split at the limit would no longer match its detector.
+    const result = redact(text);
+    redactions.push({ type, result });
+    if (result.text.length <= limit) return result.text;
+    truncated += 1;
+    return result.text.slice(0, limit);
+  };
+
+  const serialized = [];
+  let size =
+    byteLength({ version: CAPTURE_PAYLOAD_VERSION, role, parts: [], truncated: 0, omitted: 0 }) +
+    COUNTS_SLACK_BYTES;
+  let omitted = 0;
+  for (const part of parts) {
+    if (omitText && part?.type === "text" && !part.synthetic) continue;
+    const entry = serializePart(part, clip);
+    // Entries after the first are preceded by a comma
+    const length = byteLength(entry) + (serialized.length > 0 ? 1 : 0);
+    if (size + length > maxBytes) {
+      omitted += 1;
+      continue;
+    }
+    size += length;
+    serialized.push(entry);
+  }
+
+  return {
+    payload: {
+      version: CAPTURE_PAYLOAD_VERSION,
+      role,
+      parts: serialized,
+      truncated,
+      omitted,
+    },
+    redactions,
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Capture policy: decides whether a turn may be recorded by sage.
+ *
+ * Rules, checked in order:
+ *   1. `capture: false` turns capture off everywhere.
+ *   2. The inline marker `[[sage:nocapture]]` opts a single prompt out (and skips its
+ *      suggestions).
+ *   3. Workspace directory allow/deny globs (`captureIncludeDirs`, `captureExcludeDirs`).
+ *   4. Agent and model deny globs (`captureExcludeAgents`, `captureExcludeModels`).
+ *
+ * Directory globs match the workspace and everything below it: `~/clients/*` covers
+ * `~/clients/acme/api`. `*` stays within one path segment, `**` crosses segments.
+ */
+
+import { homedir } from "node:os";
+
+/** Inline opt-out marker for a single prompt. */
+export const NOCAPTURE_MARKER = "[[sage:nocapture]]";
+
+/** Whether `text` carries the opt-out marker. */
+export function hasNoCaptureMarker(text) {
+  return typeof text === "string" && text.includes(NOCAPTURE_MARKER);
+}
+
+/** Translate a glob into a regex source (no anchors). */
+export function globSource(glob) {
+  let src = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      // `**/` also matches zero directories
+      if (glob[i + 2] === "/") {
+        src += "(?:.*/)?";
+        i += 2;
+      } else {
+        src += ".*";
+        i += 1;
+      }
+    } else if (c === "*") {
+      src += "[^/]*";
+    } else if (c === "?") {
+      src += "[^/]";
+    } else {
+      src += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return src;
+}
+
+const expandHome = (path, home) =>
+  path === "~" || path.startsWith("~/") ? home + path.slice(1) : path;
+
+const trimSlash = (path) => (path.length > 1 ? path.replace(/\/+$/, "") : path);
+
+const compileDirGlobs = (globs, home) =>
+  globs.map((glob) => ({
+    glob,
+    re: new RegExp(`^${globSource(trimSlash(expandHome(glob, home)))}(?:/.*)?$`),
+  }));
+
+const compileNameGlobs = (globs) =>
+  globs.map((glob) => ({ glob, re: new RegExp(`^${globSource(glob)}$`, "i") }));
+
+const firstMatch = (rules, ...values) =>
+  rules.find(({ re }) => values.some((v) => v != null && v !== "" && re.test(v))) ?? null;
+
+/**
+ * Build a policy from config values.
+ *
+ * `evaluate({ directory, agent, model, providerID, text })` returns
+ * `{ capture, suggest, reason, rule }`: `reason` is "allowed", "disabled", "marker",
+ * "directory_not_included", "directory", "agent" or "model", and `rule` is the glob that
+ * decided it (if any). Only the marker also turns off suggestions.
+ */
+export function createCapturePolicy({
+  capture = true,
+  includeDirs = [],
+  excludeDirs = [],
+  excludeAgents = [],
+  excludeModels = [],
+  home = process.env.HOME || homedir(),
+} = {}) {
+  const include = compileDirGlobs(includeDirs, home);
+  const exclude = compileDirGlobs(excludeDirs, home);
+  const agents = compileNameGlobs(excludeAgents);
+  const models = compileNameGlobs(excludeModels);
+
+  const deny = (reason, rule = null, suggest = true) => ({
+    capture: false,
+    suggest,
+    reason,
+    rule: rule?.glob ?? null,
+  });
+
+  return {
+    evaluate({ directory, agent, model, providerID, text } = {}) {
+      if (!capture) return deny("disabled");
+      if (hasNoCaptureMarker(text)) return deny("marker", null, false);
+
+      const dir = directory ? trimSlash(directory) : null;
+      if (dir && include.length > 0 && !firstMatch(include, dir)) {
+        return deny("directory_not_included");
+      }
+      const dirRule = dir ? firstMatch(exclude, dir) : null;
+      if (dirRule) return deny("directory", dirRule);
+
+      const agentRule = firstMatch(agents, agent);
+      if (agentRule) return deny("agent", agentRule);
+
+      // Model globs may name the bare model or provider/model
+      const modelRule = firstMatch(models, model, providerID && model && `${providerID}/${model}`);
+      if (modelRule) return deny("model", modelRule);
+
+      return { capture: true, suggest: true, reason: "allowed", rule: null };
+    },
+  };
+}
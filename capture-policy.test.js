@@ -0,0 +1,94 @@
+import { describe, expect, it } from "bun:test";
+import { createCapturePolicy, globSource, hasNoCaptureMarker } from "./capture-policy.js";
+
+const home = "/home/u";
+
+describe("createCapturePolicy", () => {
+  it("allows everything by default", () => {
+    const decision = createCapturePolicy({ home }).evaluate({
+      directory: "/home/u/src/app",
+      agent: "build",
+      model: "claude-3",
+      text: "hello",
+    });
+    expect(decision).toEqual({ capture: true, suggest: true, reason: "allowed", rule: null });
+  });
+
+  it("denies everything when capture is off", () => {
+    const decision = createCapturePolicy({ capture: false, home }).evaluate({ text: "hi" });
+    expect(decision.capture).toBe(false);
+    expect(decision.reason).toBe("disabled");
+  });
+
+  it("honors the inline marker and skips suggestions for that prompt", () => {
+    const decision = createCapturePolicy({ home }).evaluate({
+      text: "rotate the keys [[sage:nocapture]]",
+    });
+    expect(decision).toEqual({ capture: false, suggest: false, reason: "marker", rule: null });
+  });
+
+  it("matches excluded directories and everything below them", () => {
+    const policy = createCapturePolicy({ excludeDirs: ["~/clients/*", "/srv/**/secret"], home });
+    expect(policy.evaluate({ directory: "/home/u/clients/acme" })).toMatchObject({
+      capture: false,
+      reason: "directory",
+      rule: "~/clients/*",
+    });
+    expect(policy.evaluate({ directory: "/home/u/clients/acme/api/" }).capture).toBe(false);
+    expect(policy.evaluate({ directory: "/srv/secret" }).capture).toBe(false);
+    expect(policy.evaluate({ directory: "/srv/a/b/secret/x" }).capture).toBe(false);
+    expect(policy.evaluate({ directory: "/home/u/clientsfoo" }).capture).toBe(true);
+    expect(policy.evaluate({ directory: "/home/u/src" }).capture).toBe(true);
+  });
+
+  it("only captures included directories when an allow list is set", () => {
+    const policy = createCapturePolicy({
+      includeDirs: ["~/work"],
+      excludeDirs: ["~/work/private"],
+      home,
+    });
+    expect(policy.evaluate({ directory: "/home/u/work/api" }).capture).toBe(true);
+    expect(policy.evaluate({ directory: "/home/u/play" }).reason).toBe("directory_not_included");
+    expect(policy.evaluate({ directory: "/home/u/work/private/x" }).reason).toBe("directory");
+  });
+
+  it("denies excluded agents and models, case-insensitively", () => {
+    const policy = createCapturePolicy({
+      excludeAgents: ["review*"],
+      excludeModels: ["gpt-4*", "ollama/*"],
+      home,
+    });
+    expect(policy.evaluate({ agent: "Reviewer" })).toMatchObject({
+      capture: false,
+      reason: "agent",
+      rule: "review*",
+    });
+    expect(policy.evaluate({ agent: "build" }).capture).toBe(true);
+    expect(policy.evaluate({ model: "gpt-4o" }).reason).toBe("model");
+    expect(policy.evaluate({ model: "llama3", providerID: "ollama" }).rule).toBe("ollama/*");
+    expect(policy.evaluate({ model: "claude-3", providerID: "anthropic" }).capture).toBe(true);
+  });
+});
+
+describe("globSource", () => {
+  it("keeps single stars within a path segment", () => {
+    const re = new RegExp(`^${globSource("a/*/c")}$`);
+    expect(re.test("a/b/c")).toBe(true);
+    expect(re.test("a/b/x/c")).toBe(false);
+  });
+
+  it("lets **/ match zero or more directories and escapes regex characters", () => {
+    const re = new RegExp(`^${globSource("a/**/c.js")}$`);
+    expect(re.test("a/c.js")).toBe(true);
+    expect(re.test("a/x/y/c.js")).toBe(true);
+    expect(re.test("a/cxjs")).toBe(false);
+  });
+});
+
+describe("hasNoCaptureMarker", () => {
+  it("detects the marker anywhere in the text", () => {
+    expect(hasNoCaptureMarker("x [[sage:nocapture]] y")).toBe(true);
+    expect(hasNoCaptureMarker("[[sage:capture]]")).toBe(false);
+    expect(hasNoCaptureMarker(undefined)).toBe(false);
+  });
+});
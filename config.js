@@ -0,0 +1,433 @@
+/**
+ * Plugin configuration: schema, sources and validation.
+ *
+ * Values are merged from (lowest to highest precedence):
+ *   1. built-in defaults
+ *   2. user file:    $XDG_CONFIG_HOME/sage/plugin.json (~/.config/sage/plugin.json)
+ *   3. project file: <directory>/.sage/plugin.json
+ *   4. plugin options passed by OpenCode (from opencode.json)
+ *   5. SAGE_* environment variables
+ *
+ * Files and options use the camelCase keys below; env vars use the `env` names.
+ * Invalid values are reported as warnings and fall back to the next lower layer.
+ * Settings marked `userOnly` (what to execute, where to write, what not to capture) are
+ * ignored in the project file, so opening a repository can't point the plugin at another
+ * binary or lift the user's capture exclusions.
+ *
+ * The files are re-read when they change (see `watchConfigFiles`); settings marked
+ * `restart` only take effect when OpenCode restarts.
+ */
+
+import { readFileSync, unwatchFile, watchFile } from "node:fs";
+import { join } from "node:path";
+import { sageConfigDir } from "./paths.js";
+
+/**
+ * type: "string" | "int" | "number" | "bool" | "enum" | "list"; `min`/`max` bound numbers,
+ * `values` lists enum
+ * members, `items: "regex"` requires every list entry to compile as a regular expression.
+ * `restart` marks settings that are read once at startup and can't be hot-reloaded.
+ */
+export const CONFIG_SCHEMA = {
+  sageBin: { env: "SAGE_BIN", type: "string", default: "sage", userOnly: true },
+  suggestLimit: { env: "SAGE_SUGGEST_LIMIT", type: "int", default: 3, min: 1 },
+  suggestDisplay: {
+    env: "SAGE_SUGGEST_DISPLAY",
+    type: "enum",
+    values: ["prompt", "toast", "note", "none"],
+    default: "prompt",
+  },
+  suggestRender: {
+    env: "SAGE_SUGGEST_RENDER",
+    type: "enum",
+    values: ["full", "headings", "compact", "table", "plain"],
+    default: "full",
+  },
+  suggestContentMaxChars: {
+    env: "SAGE_SUGGEST_CONTENT_MAX",
+    type: "int",
+    default: 2000,
+    min: 0,
+  },
+  suggestTemplate: { env: "SAGE_SUGGEST_TEMPLATE", type: "string", default: null },
+  suggestIncremental: { env: "SAGE_SUGGEST_INCREMENTAL", type: "bool", default: false },
+  suggestPreviewMs: { env: "SAGE_SUGGEST_PREVIEW_MS", type: "int", default: 250, min: 0 },
+  suggestReuseMaxWords: { env: "SAGE_SUGGEST_REUSE_WORDS", type: "int", default: 2, min: 0 },
+  suggestCacheTtlMs: {
+    env: "SAGE_SUGGEST_CACHE_TTL_MS",
+    type: "int",
+    default: 300_000,
+    min: 0,
+  },
+  suggestCacheSize: { env: "SAGE_SUGGEST_CACHE_SIZE", type: "int", default: 50, min: 1 },
+  suggestMinScore: {
+    env: "SAGE_SUGGEST_MIN_SCORE",
+    type: "number",
+    default: 0.3,
+    min: 0,
+    max: 1,
+  },
+  debounceMs: { env: "SAGE_SUGGEST_DEBOUNCE_MS", type: "int", default: 800, min: 0 },
+  provision: { env: "SAGE_SUGGEST_PROVISION", type: "bool", default: true },
+  enableSuggestions: { env: "SAGE_SUGGESTIONS", type: "bool", default: true },
+  suggestInSubagents: { env: "SAGE_SUGGEST_SUBAGENTS", type: "bool", default: true },
+  dryRun: { env: "SAGE_PLUGIN_DRY_RUN", type: "bool", default: false },
+  enableRlmFeedback: { env: "SAGE_RLM_FEEDBACK", type: "bool", default: true },
+  correlationAcceptThreshold: {
+    env: "SAGE_CORRELATION_ACCEPT",
+    type: "number",
+    default: 0.5,
+    min: 0,
+    max: 1,
+  },
+  correlationSteerThreshold: {
+    env: "SAGE_CORRELATION_STEER",
+    type: "number",
+    default: 0.2,
+    min: 0,
+    max: 1,
+  },
+  correlationWindowMs: {
+    env: "SAGE_CORRELATION_WINDOW_MS",
+    type: "int",
+    default: 600_000,
+    min: 0,
+  },
+  correlationWindowTurns: {
+    env: "SAGE_CORRELATION_WINDOW_TURNS",
+    type: "int",
+    default: 3,
+    min: 1,
+  },
+  correlationHalfLifeMs: {
+    env: "SAGE_CORRELATION_HALF_LIFE_MS",
+    type: "int",
+    default: 120_000,
+    min: 1,
+  },
+  implicitQuoteThreshold: {
+    env: "SAGE_IMPLICIT_QUOTE_THRESHOLD",
+    type: "number",
+    default: 0.3,
+    min: 0,
+    max: 1,
+  },
+  sessionIdleMs: {
+    env: "SAGE_SESSION_IDLE_MS",
+    type: "int",
+    default: 1_800_000,
+    min: 1000,
+    restart: true,
+  },
+  queue: { env: "SAGE_PLUGIN_QUEUE", type: "bool", default: true, restart: true },
+  queuePath: {
+    env: "SAGE_PLUGIN_QUEUE_PATH",
+    type: "string",
+    default: null,
+    userOnly: true,
+    restart: true,
+  },
+  prefsPath: {
+    env: "SAGE_PLUGIN_PREFS_PATH",
+    type: "string",
+    default: null,
+    userOnly: true,
+    restart: true,
+  },
+  queueMaxEntries: {
+    env: "SAGE_PLUGIN_QUEUE_MAX",
+    type: "int",
+    default: 1000,
+    min: 1,
+    restart: true,
+  },
+  queueRetryMs: { env: "SAGE_PLUGIN_QUEUE_RETRY_MS", type: "int", default: 5000, min: 0 },
+  transport: {
+    env: "SAGE_TRANSPORT",
+    type: "enum",
+    values: ["cli", "socket", "auto"],
+    default: "cli",
+  },
+  socketPath: { env: "SAGE_SOCKET", type: "string", default: null, userOnly: true },
+  socketTimeoutMs: { env: "SAGE_SOCKET_TIMEOUT_MS", type: "int", default: 5000, min: 1 },
+  execTimeoutMs: { env: "SAGE_EXEC_TIMEOUT_MS", type: "int", default: 15_000, min: 0 },
+  suggestTimeoutMs: { env: "SAGE_SUGGEST_TIMEOUT_MS", type: "int", default: 5000, min: 0 },
+  execConcurrency: { env: "SAGE_EXEC_CONCURRENCY", type: "int", default: 4, min: 1 },
+  mcpSession: { env: "SAGE_MCP_SESSION", type: "bool", default: false },
+  mcpSuggestTool: { env: "SAGE_MCP_SUGGEST_TOOL", type: "string", default: "suggest_skill" },
+  capture: { env: "SAGE_CAPTURE", type: "bool", default: true },
+  captureIncludeDirs: {
+    env: "SAGE_CAPTURE_INCLUDE_DIRS",
+    type: "list",
+    default: [],
+    userOnly: true,
+  },
+  captureExcludeDirs: {
+    env: "SAGE_CAPTURE_EXCLUDE_DIRS",
+    type: "list",
+    default: [],
+    userOnly: true,
+  },
+  captureExcludeAgents: {
+    env: "SAGE_CAPTURE_EXCLUDE_AGENTS",
+    type: "list",
+    default: [],
+    userOnly: true,
+  },
+  captureExcludeModels: {
+    env: "SAGE_CAPTURE_EXCLUDE_MODELS",
+    type: "list",
+    default: [],
+    userOnly: true,
+  },
+  captureParts: { env: "SAGE_CAPTURE_PARTS", type: "bool", default: true },
+  captureTextMaxChars: {
+    env: "SAGE_CAPTURE_TEXT_MAX",
+    type: "int",
+    default: 20_000,
+    min: 0,
+  },
+  captureReasoningMaxChars: {
+    env: "SAGE_CAPTURE_REASONING_MAX",
+    type: "int",
+    default: 8000,
+    min: 0,
+  },
+  captureToolMaxChars: { env: "SAGE_CAPTURE_TOOL_MAX", type: "int", default: 4000, min: 0 },
+  redact: { env: "SAGE_REDACT", type: "bool", default: true },
+  redactHighEntropy: { env: "SAGE_REDACT_HIGH_ENTROPY", type: "bool", default: true },
+  redactPatterns: { env: "SAGE_REDACT_PATTERNS", type: "list", items: "regex", default: [] },
+  configWatchMs: {
+    env: "SAGE_PLUGIN_CONFIG_WATCH_MS",
+    type: "int",
+    default: 2000,
+    min: 0,
+    restart: true,
+  },
+};
+
+const TRUE_STRINGS = new Set(["1", "true", "yes", "on"]);
+const FALSE_STRINGS = new Set(["0", "false", "no", "off"]);
+
+const parseList = (raw) => {
+  if (Array.isArray(raw)) return raw;
+  const s = String(raw).trim();
+  if (s.startsWith("[")) {
+    try {
+      return JSON.parse(s);
+    } catch {
+      return null;
+    }
+  }
+  return s
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Coerce `raw` to the type in `spec`. Returns `{ value }` or `{ error }`.
+ * Strings are accepted for every type so env vars and files share one path; lists may be
+ * written as a JSON array or, when entries contain no commas, comma-separated.
+ */
+export function coerceConfigValue(spec, raw) {
+  switch (spec.type) {
+    case "int":
+    case "number": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (spec.type === "int" ? !Number.isInteger(n) : !Number.isFinite(n)) {
+        const what = spec.type === "int" ? "an integer" : "a number";
+        return { error: `expected ${what}, got ${JSON.stringify(raw)}` };
+      }
+      if (spec.min != null && n < spec.min) return { error: `must be >= ${spec.min}, got ${n}` };
+      if (spec.max != null && n > spec.max) return { error: `must be <= ${spec.max}, got ${n}` };
+      return { value: n };
+    }
+    case "bool": {
+      if (typeof raw === "boolean") return { value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (TRUE_STRINGS.has(s)) return { value: true };
+      if (FALSE_STRINGS.has(s)) return { value: false };
+      return { error: `expected a boolean (1/0/true/false), got ${JSON.stringify(raw)}` };
+    }
+    case "enum": {
+      const s = String(raw).trim();
+      if (spec.values.includes(s)) return { value: s };
+      return { error: `expected one of ${spec.values.join(", ")}, got ${JSON.stringify(raw)}` };
+    }
+    case "list": {
+      const items = parseList(raw);
+      if (!Array.isArray(items) || items.some((item) => typeof item !== "string")) {
+        return { error: `expected a list of strings, got ${JSON.stringify(raw)}` };
+      }
+      if (spec.items === "regex") {
+        for (const item of items) {
+          try {
+            new RegExp(item);
+          } catch (e) {
+            return { error: `invalid regular expression ${JSON.stringify(item)}: ${e.message}` };
+          }
+        }
+      }
+      return { value: items };
+    }
+    default: {
+      if (typeof raw !== "string") return { error: `expected a string, got ${typeof raw}` };
+      return { value: raw };
+    }
+  }
+}
+
+/** Config file locations, lowest precedence first. */
+export function configFilePaths({ directory, env = process.env } = {}) {
+  const files = [{ layer: "user", path: join(sageConfigDir(env), "plugin.json") }];
+  if (directory) files.push({ layer: "project", path: join(directory, ".sage", "plugin.json") });
+  return files;
+}
+
+const readJsonFile = (path, readFile) => {
+  let text;
+  try {
+    text = readFile(path, "utf8");
+  } catch (e) {
+    if (e?.code === "ENOENT") return { data: null };
+    return { error: `could not read: ${e.message}` };
+  }
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return { error: "expected a JSON object" };
+    }
+    return { data };
+  } catch (e) {
+    return { error: `invalid JSON: ${e.message}` };
+  }
+};
+
+/**
+ * Build the effective config.
+ *
+ * Returns `{ config, sources, warnings }`: `sources[key]` names the layer that supplied
+ * each value ("default", "user", "project", "options" or "env"); `warnings` lists
+ * `{ source, key, message }` for unreadable files, unknown keys and invalid values.
+ */
+export function loadConfig({
+  directory,
+  options = {},
+  env = process.env,
+  readFile = readFileSync,
+} = {}) {
+  const config = {};
+  const sources = {};
+  const warnings = [];
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    config[key] = spec.default;
+    sources[key] = "default";
+  }
+
+  const applyObject = (layer, source, data) => {
+    for (const [key, raw] of Object.entries(data)) {
+      const spec = CONFIG_SCHEMA[key];
+      if (!spec) {
+        warnings.push({ source, key, message: "unknown setting" });
+        continue;
+      }
+      if (spec.userOnly && layer === "project") {
+        warnings.push({ source, key, message: "can only be set in the user config or env" });
+        continue;
+      }
+      if (raw == null) continue;
+      const { value, error } = coerceConfigValue(spec, raw);
+      if (error) {
+        warnings.push({ source, key, message: `${error}; using ${JSON.stringify(config[key])}` });
+        continue;
+      }
+      config[key] = value;
+      sources[key] = layer;
+    }
+  };
+
+  for (const { layer, path } of configFilePaths({ directory, env })) {
+    const { data, error } = readJsonFile(path, readFile);
+    if (error) warnings.push({ source: path, key: null, message: error });
+    if (data) applyObject(layer, path, data);
+  }
+
+  if (options && typeof options === "object") applyObject("options", "plugin options", options);
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const raw = env[spec.env];
+    // Empty env vars count as unset
+    if (raw == null || raw === "") continue;
+    const { value, error } = coerceConfigValue(spec, raw);
+    if (error) {
+      warnings.push({
+        source: "env",
+        key: spec.env,
+        message: `${error}; using ${JSON.stringify(config[key])}`,
+      });
+      continue;
+    }
+    config[key] = value;
+    sources[key] = "env";
+  }
+
+  return { config, sources, warnings };
+}
+
+const sameValue = (a, b) =>
+  Object.is(a, b) ||
+  (Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]));
+
+/**
+ * List the settings that differ between two configs as `{ key, from, to }`, in schema order.
+ */
+export function diffConfig(prev, next) {
+  const changes = [];
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    if (!sameValue(prev[key], next[key])) changes.push({ key, from: prev[key], to: next[key] });
+  }
+  return changes;
+}
+
+/**
+ * Call `onChange()` when any config file is created, edited or removed.
+ *
+ * Files are polled every `intervalMs` (fs.watchFile), which also notices files that don't
+ * exist yet and survives editors that replace files on save. Bursts of writes are
+ * coalesced into one call. The watchers never keep the host process alive.
+ * Returns `{ close() }`.
+ */
+export function watchConfigFiles({
+  directory,
+  env = process.env,
+  intervalMs = 2000,
+  debounceMs = 100,
+  onChange,
+}) {
+  const paths = configFilePaths({ directory, env }).map((f) => f.path);
+  let timer = null;
+
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      onChange();
+    }, debounceMs);
+    timer.unref?.();
+  };
+
+  for (const path of paths) {
+    watchFile(path, { interval: intervalMs, persistent: false }, listener);
+  }
+
+  return {
+    close() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      for (const path of paths) unwatchFile(path, listener);
+    },
+  };
+}
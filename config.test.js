@@ -0,0 +1,204 @@
+import { describe, expect, it } from "bun:test";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  CONFIG_SCHEMA,
+  coerceConfigValue,
+  diffConfig,
+  loadConfig,
+  watchConfigFiles,
+} from "./config.js";
+
+// In-memory stand-in for readFileSync
+const makeFs = (files) => (path) => {
+  if (path in files) return files[path];
+  throw Object.assign(new Error(`ENOENT: ${path}`), { code: "ENOENT" });
+};
+
+const USER_FILE = "/home/u/.config/sage/plugin.json";
+const PROJECT_FILE = "/repo/.sage/plugin.json";
+const baseEnv = { HOME: "/home/u" };
+
+describe("loadConfig", () => {
+  it("uses schema defaults when nothing is configured", () => {
+    const { config, sources, warnings } = loadConfig({
+      directory: "/repo",
+      env: baseEnv,
+      readFile: makeFs({}),
+    });
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+      expect(config[key]).toBe(spec.default);
+      expect(sources[key]).toBe("default");
+    }
+    expect(warnings).toEqual([]);
+  });
+
+  it("layers user file < project file < options < env", () => {
+    const readFile = makeFs({
+      [USER_FILE]: JSON.stringify({ suggestLimit: 5, debounceMs: 100, provision: false }),
+      [PROJECT_FILE]: JSON.stringify({ suggestLimit: 7, debounceMs: 200 }),
+    });
+    const { config, sources } = loadConfig({
+      directory: "/repo",
+      options: { debounceMs: 300, enableRlmFeedback: false },
+      env: { ...baseEnv, SAGE_RLM_FEEDBACK: "1" },
+      readFile,
+    });
+
+    expect(config.provision).toBe(false);
+    expect(sources.provision).toBe("user");
+    expect(config.suggestLimit).toBe(7);
+    expect(sources.suggestLimit).toBe("project");
+    expect(config.debounceMs).toBe(300);
+    expect(sources.debounceMs).toBe("options");
+    expect(config.enableRlmFeedback).toBe(true);
+    expect(sources.enableRlmFeedback).toBe("env");
+  });
+
+  it("warns about a non-numeric SAGE_SUGGEST_LIMIT instead of producing NaN", () => {
+    const { config, warnings } = loadConfig({
+      env: { ...baseEnv, SAGE_SUGGEST_LIMIT: "lots" },
+      readFile: makeFs({}),
+    });
+    expect(config.suggestLimit).toBe(3);
+    expect(warnings).toEqual([
+      {
+        source: "env",
+        key: "SAGE_SUGGEST_LIMIT",
+        message: 'expected an integer, got "lots"; using 3',
+      },
+    ]);
+  });
+
+  it("falls back to the lower layer for invalid file values", () => {
+    const readFile = makeFs({
+      [USER_FILE]: JSON.stringify({ suggestLimit: 4 }),
+      [PROJECT_FILE]: JSON.stringify({ suggestLimit: 0, transport: "carrier-pigeon", bogus: 1 }),
+    });
+    const { config, warnings } = loadConfig({ directory: "/repo", env: baseEnv, readFile });
+
+    expect(config.suggestLimit).toBe(4);
+    expect(config.transport).toBe("cli");
+    expect(warnings.map((w) => [w.key, w.message])).toEqual([
+      ["suggestLimit", "must be >= 1, got 0; using 4"],
+      ["transport", 'expected one of cli, socket, auto, got "carrier-pigeon"; using "cli"'],
+      ["bogus", "unknown setting"],
+    ]);
+  });
+
+  it("ignores userOnly settings in the project file", () => {
+    const readFile = makeFs({ [PROJECT_FILE]: JSON.stringify({ sageBin: "./evil" }) });
+    const { config, warnings } = loadConfig({ directory: "/repo", env: baseEnv, readFile });
+
+    expect(config.sageBin).toBe("sage");
+    expect(warnings[0]).toMatchObject({ key: "sageBin" });
+  });
+
+  it("reports malformed files without failing", () => {
+    const readFile = makeFs({ [PROJECT_FILE]: "{ not json" });
+    const { config, warnings } = loadConfig({ directory: "/repo", env: baseEnv, readFile });
+
+    expect(config.suggestLimit).toBe(3);
+    expect(warnings[0].source).toBe(PROJECT_FILE);
+    expect(warnings[0].message).toContain("invalid JSON");
+  });
+
+  it("treats empty env vars as unset", () => {
+    const { config } = loadConfig({
+      env: { ...baseEnv, SAGE_PLUGIN_DRY_RUN: "", SAGE_BIN: "" },
+      readFile: makeFs({}),
+    });
+    expect(config.dryRun).toBe(false);
+    expect(config.sageBin).toBe("sage");
+  });
+
+  it("honors XDG_CONFIG_HOME for the user file", () => {
+    const readFile = makeFs({ "/xdg/sage/plugin.json": JSON.stringify({ suggestLimit: 9 }) });
+    const { config } = loadConfig({ env: { ...baseEnv, XDG_CONFIG_HOME: "/xdg" }, readFile });
+    expect(config.suggestLimit).toBe(9);
+  });
+});
+
+describe("coerceConfigValue", () => {
+  it("accepts boolean spellings", () => {
+    const spec = { type: "bool" };
+    expect(coerceConfigValue(spec, "true")).toEqual({ value: true });
+    expect(coerceConfigValue(spec, "0")).toEqual({ value: false });
+    expect(coerceConfigValue(spec, false)).toEqual({ value: false });
+    expect(coerceConfigValue(spec, "maybe").error).toBeDefined();
+  });
+});
+
+describe("list settings", () => {
+  const spec = CONFIG_SCHEMA.redactPatterns;
+
+  it("accepts arrays, JSON arrays and comma-separated strings", () => {
+    expect(coerceConfigValue(spec, ["a+", "b"])).toEqual({ value: ["a+", "b"] });
+    expect(coerceConfigValue(spec, '["x{1,2}"]')).toEqual({ value: ["x{1,2}"] });
+    expect(coerceConfigValue(spec, "foo, bar")).toEqual({ value: ["foo", "bar"] });
+  });
+
+  it("rejects invalid regular expressions", () => {
+    const { config, warnings } = loadConfig({
+      env: { ...baseEnv, SAGE_REDACT_PATTERNS: '["ok", "("]' },
+      readFile: makeFs({}),
+    });
+    expect(config.redactPatterns).toEqual([]);
+    expect(warnings[0].key).toBe("SAGE_REDACT_PATTERNS");
+    expect(warnings[0].message).toContain("invalid regular expression");
+  });
+
+  it("compares lists by value when diffing", () => {
+    const prev = { ...loadConfig({ env: baseEnv, readFile: makeFs({}) }).config };
+    expect(diffConfig(prev, { ...prev, redactPatterns: [] })).toEqual([]);
+    expect(diffConfig(prev, { ...prev, redactPatterns: ["x"] })).toHaveLength(1);
+  });
+});
+
+describe("diffConfig", () => {
+  it("lists changed settings in schema order", () => {
+    const prev = loadConfig({ env: baseEnv, readFile: makeFs({}) }).config;
+    const next = { ...prev, debounceMs: 50, suggestLimit: 7 };
+    expect(diffConfig(prev, next)).toEqual([
+      { key: "suggestLimit", from: 3, to: 7 },
+      { key: "debounceMs", from: 800, to: 50 },
+    ]);
+    expect(diffConfig(prev, { ...prev })).toEqual([]);
+  });
+});
+
+describe("watchConfigFiles", () => {
+  it("calls onChange once per burst of writes, including for new files", async () => {
+    const root = mkdtempSync(join(tmpdir(), "sage-config-watch-"));
+    const directory = join(root, "repo");
+    mkdirSync(join(directory, ".sage"), { recursive: true });
+    let calls = 0;
+    const watcher = watchConfigFiles({
+      directory,
+      env: { HOME: root },
+      intervalMs: 10,
+      debounceMs: 50,
+      onChange: () => {
+        calls += 1;
+      },
+    });
+
+    try {
+      const file = join(directory, ".sage", "plugin.json");
+      writeFileSync(file, JSON.stringify({ suggestLimit: 4 }));
+      await new Promise((r) => setTimeout(r, 20));
+      writeFileSync(file, JSON.stringify({ suggestLimit: 5, debounceMs: 10 }));
+      await new Promise((r) => setTimeout(r, 200));
+      expect(calls).toBe(1);
+
+      watcher.close();
+      writeFileSync(file, "{}");
+      await new Promise((r) => setTimeout(r, 100));
+      expect(calls).toBe(1);
+    } finally {
+      watcher.close();
+      rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Prompt/suggestion correlation scoring.
+ *
+ * Text is tokenized with code identifiers split into words (`parseUserId`, `user_id`,
+ * `user-id` all yield `user` and `id`), stopwords removed and terms stemmed, then compared
+ * by cosine similarity of TF-IDF vectors. Document frequencies come from the prompts and
+ * suggestions the scorer has seen, so words the user types in every prompt count for
+ * less over time. Everything is local; nothing leaves the process.
+ */
+
+/** Common English and prompt filler words that carry no topic. */
+export const STOPWORDS = new Set(
+  (
+    "a about above after again all also am an and any are as at be because been before being " +
+    "below between both but by can could did do does doing down during each few for from " +
+    "further get got had has have having he her here hers him his how i if in into is it its " +
+    "just let like make me more most my need no nor not now of off on once only or other our " +
+    "out over own please same she should so some such than that the their them then there " +
+    "these they this those through to too under until up use using very want was we were what " +
+    "when where which while who whom why will with would you your yours"
+  ).split(" "),
+);
+
+/** Split code identifiers and prose into lowercase words. */
+export function splitWords(text) {
+  return String(text ?? "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .map((w) => w.toLowerCase())
+    .filter(Boolean);
+}
+
+const undouble = (w) => (/([^aeiouslz])\1$/.test(w) ? w.slice(0, -1) : w);
+
+/**
+ * Light suffix-stripping stemmer: enough to fold plurals and verb forms together
+ * (`queries`/`query`, `optimizing`/`optimized`/`optimize`), not a full Porter stemmer.
+ */
+export function stem(word) {
+  let w = word;
+  if (w.length <= 3) return w;
+  if (w.endsWith("ies") && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith("ing") && w.length > 5) w = undouble(w.slice(0, -3));
+  else if (w.endsWith("ed") && w.length > 4) w = undouble(w.slice(0, -2));
+  else if (w.endsWith("ly") && w.length > 4) w = w.slice(0, -2);
+
+  if (w.endsWith("y") && w.length > 3) w = `${w.slice(0, -1)}i`;
+  if (w.endsWith("e") && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+const contentWords = (text) =>
+  splitWords(text).filter((w) => w.length > 1 && !/^\d+$/.test(w) && !STOPWORDS.has(w));
+
+/** Tokenize `text` into stemmed, stopword-free terms (duplicates kept for term frequency). */
+export function tokenize(text) {
+  return contentWords(text).map(stem);
+}
+
+// term -> { tf, word }, where `word` is the first spelling seen (for readable diffs)
+const termCounts = (text) => {
+  const counts = new Map();
+  for (const word of contentWords(text)) {
+    const term = stem(word);
+    const entry = counts.get(term);
+    if (entry) entry.tf += 1;
+    else counts.set(term, { tf: 1, word });
+  }
+  return counts;
+};
+
+/**
+ * Map a similarity score to "accepted" (>= `acceptThreshold`), "steered"
+ * (>= `steerThreshold`) or "rejected".
+ */
+export function classifyCorrelation(score, { acceptThreshold = 0.5, steerThreshold = 0.2 } = {}) {
+  if (score >= acceptThreshold) return "accepted";
+  if (score >= steerThreshold) return "steered";
+  return "rejected";
+}
+
+/** Fraction of confidence kept for each prompt between a suggestion and its match. */
+export const TURN_DECAY = 0.8;
+
+/**
+ * Whether a suggestion shown `turns` prompts and `ageMs` ago can still be correlated:
+ * both limits apply (`windowTurns: 1` means only the very next prompt).
+ */
+export function inCorrelationWindow({ ageMs, turns }, { windowMs, windowTurns }) {
+  return ageMs <= windowMs && turns < windowTurns;
+}
+
+/**
+ * Weight in (0, 1] for feedback about an older suggestion: halves every `halfLifeMs`
+ * and shrinks by TURN_DECAY for each prompt in between.
+ */
+export function correlationWeight({ ageMs, turns }, { halfLifeMs }) {
+  return 0.5 ** (Math.max(0, ageMs) / halfLifeMs) * TURN_DECAY ** Math.max(0, turns);
+}
+
+/**
+ * Create a TF-IDF similarity scorer. Feed it the texts it will compare through `observe`
+ * so common words are down-weighted.
+ */
+export function createCorrelationScorer() {
+  const docFreq = new Map();
+  let docs = 0;
+
+  const idf = (term) => Math.log((1 + docs) / (1 + (docFreq.get(term) ?? 0))) + 1;
+
+  const vector = (counts) => {
+    const v = new Map();
+    let norm = 0;
+    for (const [term, { tf }] of counts) {
+      const w = tf * idf(term);
+      v.set(term, w);
+      norm += w * w;
+    }
+    return { v, norm: Math.sqrt(norm) };
+  };
+
+  return {
+    /** Add `text` to the document-frequency statistics. */
+    observe(text) {
+      const terms = new Set(tokenize(text));
+      if (terms.size === 0) return;
+      docs += 1;
+      for (const t of terms) docFreq.set(t, (docFreq.get(t) ?? 0) + 1);
+    },
+
+    /**
+     * Cosine similarity of `a` and `b` in [0, 1], with the words only `a` has (`added`)
+     * and only `b` has (`removed`), in order of appearance.
+     */
+    similarity(a, b) {
+      const ca = termCounts(a);
+      const cb = termCounts(b);
+      const va = vector(ca);
+      const vb = vector(cb);
+      let dot = 0;
+      for (const [term, w] of va.v) dot += w * (vb.v.get(term) ?? 0);
+      const score = va.norm && vb.norm ? dot / (va.norm * vb.norm) : 0;
+      return {
+        score: Math.min(1, score),
+        added: [...ca].filter(([t]) => !cb.has(t)).map(([, e]) => e.word),
+        removed: [...cb].filter(([t]) => !ca.has(t)).map(([, e]) => e.word),
+      };
+    },
+
+    /**
+     * Score `text` against each shown suggestion (`{ key, text }`), best match first.
+     * Each entry gets `position`, its index in the order shown; ties keep that order.
+     */
+    rank(text, candidates) {
+      return candidates
+        .map((c, position) => ({ key: c.key, position, ...this.similarity(text, c.text) }))
+        .sort((a, b) => b.score - a.score);
+    },
+  };
+}
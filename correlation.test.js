@@ -0,0 +1,122 @@
+import { describe, expect, it } from "bun:test";
+import {
+  TURN_DECAY,
+  classifyCorrelation,
+  correlationWeight,
+  createCorrelationScorer,
+  inCorrelationWindow,
+  splitWords,
+  stem,
+  tokenize,
+} from "./correlation.js";
+
+describe("tokenize", () => {
+  it("splits code identifiers", () => {
+    expect(splitWords("parseUserId user_id user-id HTTPServer src/app.ts")).toEqual([
+      "parse",
+      "user",
+      "id",
+      "user",
+      "id",
+      "user",
+      "id",
+      "http",
+      "server",
+      "src",
+      "app",
+      "ts",
+    ]);
+  });
+
+  it("drops stopwords, numbers and punctuation", () => {
+    expect(tokenize("How do I fix the 404 error?!")).toEqual(["fix", "error"]);
+  });
+
+  it("folds plurals and verb forms together", () => {
+    expect(stem("queries")).toBe(stem("query"));
+    expect(stem("optimizing")).toBe(stem("optimize"));
+    expect(stem("optimized")).toBe(stem("optimize"));
+    expect(stem("running")).toBe("run");
+    expect(stem("classes")).toBe("class");
+  });
+});
+
+describe("createCorrelationScorer", () => {
+  const suggestion = "Database Optimizer Optimize slow SQL queries with indexes db-optimizer";
+
+  it("ignores casing, punctuation and word order", () => {
+    const scorer = createCorrelationScorer();
+    const a = scorer.similarity("Queries: SQL slow, optimize!", suggestion).score;
+    const b = scorer.similarity("optimize slow sql queries", suggestion).score;
+    expect(a).toBeCloseTo(b, 10);
+    expect(a).toBeGreaterThan(0.5);
+  });
+
+  it("reports the words added and removed relative to the suggestion", () => {
+    const result = createCorrelationScorer().similarity(
+      "optimize database queries for postgres partitions",
+      suggestion,
+    );
+    expect(result.added).toEqual(["postgres", "partitions"]);
+    expect(result.removed).toContain("sql");
+    expect(result.score).toBeGreaterThan(0.2);
+    expect(result.score).toBeLessThan(0.5);
+  });
+
+  it("scores unrelated text as zero", () => {
+    expect(createCorrelationScorer().similarity("explain rust ownership", suggestion).score).toBe(
+      0,
+    );
+  });
+
+  it("down-weights terms seen in many documents", () => {
+    const scorer = createCorrelationScorer();
+    const before = scorer.similarity("refactor code", "review code").score;
+    for (let i = 0; i < 10; i++) scorer.observe(`code task ${i}`);
+    scorer.observe("refactor");
+    const after = scorer.similarity("refactor code", "review code").score;
+    expect(after).toBeLessThan(before);
+  });
+});
+
+describe("rank", () => {
+  it("orders shown suggestions by similarity and keeps their shown position", () => {
+    const ranked = createCorrelationScorer().rank("write jest unit tests for the parser", [
+      { key: "lib/db", text: "Database Optimizer optimize SQL queries db" },
+      { key: "lib/docs", text: "Docs Writer write API documentation docs" },
+      { key: "lib/tests", text: "Test Writer write unit tests with jest tests" },
+    ]);
+    expect(ranked.map((r) => r.key)).toEqual(["lib/tests", "lib/docs", "lib/db"]);
+    expect(ranked[0].position).toBe(2);
+    expect(ranked[2].score).toBe(0);
+  });
+});
+
+describe("classifyCorrelation", () => {
+  it("applies the thresholds", () => {
+    const thresholds = { acceptThreshold: 0.6, steerThreshold: 0.3 };
+    expect(classifyCorrelation(0.6, thresholds)).toBe("accepted");
+    expect(classifyCorrelation(0.45, thresholds)).toBe("steered");
+    expect(classifyCorrelation(0.1, thresholds)).toBe("rejected");
+    expect(classifyCorrelation(0.45)).toBe("steered");
+  });
+});
+
+describe("correlation window", () => {
+  const window = { windowMs: 60_000, windowTurns: 2 };
+
+  it("requires both the time and the turn limit", () => {
+    expect(inCorrelationWindow({ ageMs: 0, turns: 0 }, window)).toBe(true);
+    expect(inCorrelationWindow({ ageMs: 59_000, turns: 1 }, window)).toBe(true);
+    expect(inCorrelationWindow({ ageMs: 61_000, turns: 0 }, window)).toBe(false);
+    expect(inCorrelationWindow({ ageMs: 0, turns: 2 }, window)).toBe(false);
+  });
+
+  it("decays confidence with age and turns", () => {
+    expect(correlationWeight({ ageMs: 0, turns: 0 }, { halfLifeMs: 1000 })).toBe(1);
+    expect(correlationWeight({ ageMs: 1000, turns: 0 }, { halfLifeMs: 1000 })).toBeCloseTo(0.5);
+    expect(correlationWeight({ ageMs: 0, turns: 2 }, { halfLifeMs: 1000 })).toBeCloseTo(
+      TURN_DECAY ** 2,
+    );
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Where suggestions are shown, and how text the plugin injected is kept out of captures.
+ *
+ * Channels:
+ *   prompt  append to the prompt being composed (`client.tui.appendPrompt`); the model
+ *           sees the suggestion if the user sends it along
+ *   toast   a TUI toast (`client.tui.showToast`); nothing reaches the prompt
+ *   note    a message added to the session without a reply (`client.session.prompt`
+ *           with `noReply`), visible in the transcript
+ *   none    don't show anything (suggestions are still recorded)
+ *
+ * A channel the client doesn't support falls back to `prompt`.
+ */
+
+/** Available display channels. */
+export const DISPLAY_CHANNELS = ["prompt", "toast", "note", "none"];
+
+const supported = (client, channel) => {
+  switch (channel) {
+    case "toast":
+      return typeof client?.tui?.showToast === "function";
+    case "note":
+      return typeof client?.session?.prompt === "function";
+    case "none":
+      return true;
+    default:
+      return typeof client?.tui?.appendPrompt === "function";
+  }
+};
+
+/**
+ * Show a suggestion. `text` is the rendered block for the prompt and note channels,
+ * `toastText` the short form for toasts. Resolves to the channel actually used, or null
+ * when nothing could show it.
+ */
+export async function displaySuggestion(client, { channel, text, toastText, sessionId }) {
+  let used = supported(client, channel) ? channel : "prompt";
+  // A note belongs to a session; without one, fall back to the prompt.
+  if (used === "note" && !sessionId) used = "prompt";
+  if (!supported(client, used)) return null;
+
+  switch (used) {
+    case "toast":
+      await client.tui.showToast({
+        body: { title: "Sage suggestions", message: toastText ?? text, variant: "info" },
+      });
+      break;
+    case "note":
+      await client.session.prompt({
+        path: { id: sessionId },
+        body: { noReply: true, parts: [{ type: "text", text, synthetic: true }] },
+      });
+      break;
+    case "none":
+      break;
+    default:
+      await client.tui.appendPrompt({ body: { text: `\n\n${text}\n` } });
+  }
+  return used;
+}
+
+/**
+ * Remember the last `max` injected blocks so they can be cut out of prompts before
+ * capture and correlation. Only verbatim copies are recognized; a block the user edited
+ * counts as their own text.
+ */
+export function createInjectionTracker({ max = 5 } = {}) {
+  const blocks = [];
+
+  return {
+    remember(text) {
+      const block = String(text ?? "").trim();
+      if (!block) return;
+      const i = blocks.indexOf(block);
+      if (i >= 0) blocks.splice(i, 1);
+      blocks.push(block);
+      if (blocks.length > max) blocks.shift();
+    },
+
+    /** `{ text, stripped }`: `content` without injected blocks, and how many were cut. */
+    strip(content) {
+      let text = String(content ?? "");
+      let stripped = 0;
+      for (const block of blocks) {
+        const parts = text.split(block);
+        if (parts.length === 1) continue;
+        stripped += parts.length - 1;
+        text = parts.join("");
+      }
+      return { text: stripped ? text.trim() : text, stripped };
+    },
+  };
+}
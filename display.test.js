@@ -0,0 +1,67 @@
+import { describe, expect, it } from "bun:test";
+import { createInjectionTracker, displaySuggestion } from "./display.js";
+
+const makeClient = ({ toast = true, session = true } = {}) => {
+  const calls = [];
+  return {
+    calls,
+    client: {
+      tui: {
+        appendPrompt: ({ body }) => calls.push(["prompt", body]),
+        ...(toast ? { showToast: ({ body }) => calls.push(["toast", body]) } : {}),
+      },
+      ...(session ? { session: { prompt: (req) => calls.push(["note", req]) } } : {}),
+    },
+  };
+};
+
+describe("displaySuggestion", () => {
+  const show = (client, channel, sessionId = "s1") =>
+    displaySuggestion(client, { channel, text: "### Block", toastText: "Block", sessionId });
+
+  it("uses the requested channel", async () => {
+    const { client, calls } = makeClient();
+    expect(await show(client, "prompt")).toBe("prompt");
+    expect(await show(client, "toast")).toBe("toast");
+    expect(await show(client, "note")).toBe("note");
+    expect(await show(client, "none")).toBe("none");
+    expect(calls).toEqual([
+      ["prompt", { text: "\n\n### Block\n" }],
+      ["toast", { title: "Sage suggestions", message: "Block", variant: "info" }],
+      [
+        "note",
+        {
+          path: { id: "s1" },
+          body: { noReply: true, parts: [{ type: "text", text: "### Block", synthetic: true }] },
+        },
+      ],
+    ]);
+  });
+
+  it("falls back to the prompt when a channel is unavailable", async () => {
+    const { client, calls } = makeClient({ toast: false, session: false });
+    expect(await show(client, "toast")).toBe("prompt");
+    expect(await show(client, "note")).toBe("prompt");
+    expect(await show(makeClient().client, "note", null)).toBe("prompt");
+    expect(calls).toHaveLength(2);
+    expect(await show({}, "prompt")).toBeNull();
+  });
+});
+
+describe("createInjectionTracker", () => {
+  it("cuts remembered blocks out of prompts", () => {
+    const tracker = createInjectionTracker({ max: 2 });
+    tracker.remember("### A\nbody");
+    expect(tracker.strip("fix it\n\n### A\nbody\n")).toEqual({ text: "fix it", stripped: 1 });
+    expect(tracker.strip("### A\nbody")).toEqual({ text: "", stripped: 1 });
+    // An edited block is the user's own text
+    expect(tracker.strip("### A\nedited body")).toEqual({
+      text: "### A\nedited body",
+      stripped: 0,
+    });
+
+    tracker.remember("B");
+    tracker.remember("C");
+    expect(tracker.strip("x ### A\nbody").stripped).toBe(0);
+  });
+});
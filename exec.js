@@ -0,0 +1,202 @@
+/**
+ * Execution controls for sage commands: deadlines, cancellation and a concurrency pool.
+ */
+
+/** Create the error thrown when a run is cancelled through its AbortSignal. */
+export function abortError(reason) {
+  const err = new Error(typeof reason === "string" ? reason : "sage command aborted");
+  err.name = "AbortError";
+  return err;
+}
+
+/** Whether `err` is a cancellation rather than a failure. */
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+/**
+ * Run `run(signal)` with a deadline.
+ *
+ * The signal handed to `run` aborts when `timeoutMs` elapses or the caller's `signal`
+ * aborts, so transports can kill the underlying process. The returned promise settles
+ * as soon as either happens, even if `run` ignores the signal.
+ */
+export function runWithDeadline(run, { timeoutMs = 0, signal } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError(signal.reason));
+
+  const controller = new AbortController();
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const finish = (fn, value) => {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    const onAbort = () => {
+      const err = abortError(signal.reason);
+      controller.abort(err);
+      finish(reject, err);
+    };
+
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        const err = new Error(`sage command timed out after ${timeoutMs}ms`);
+        err.code = "ETIMEDOUT";
+        controller.abort(err);
+        finish(reject, err);
+      }, timeoutMs);
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    Promise.resolve()
+      .then(() => run(controller.signal))
+      .then(
+        (value) => finish(resolve, value),
+        (e) => finish(reject, e),
+      );
+  });
+}
+
+/**
+ * Create a pool that runs at most `max` tasks at once; the rest wait in FIFO order.
+ *
+ * A waiting task whose `signal` aborts is removed from the queue and rejects with an
+ * AbortError without ever starting.
+ */
+export function createLimiter(max = 4) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    while (active < max && waiting.length > 0) {
+      const job = waiting.shift();
+      job.start();
+    }
+  };
+
+  return {
+    run(task, { signal } = {}) {
+      if (signal?.aborted) return Promise.reject(abortError(signal.reason));
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          const i = waiting.indexOf(job);
+          if (i !== -1) {
+            waiting.splice(i, 1);
+            reject(abortError(signal.reason));
+          }
+        };
+        const job = {
+          start() {
+            signal?.removeEventListener("abort", onAbort);
+            active += 1;
+            Promise.resolve()
+              .then(task)
+              .then(resolve, reject)
+              .finally(() => {
+                active -= 1;
+                next();
+              });
+          },
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+        waiting.push(job);
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get pending() {
+      return waiting.length;
+    },
+  };
+}
+
+/** Failure classes for sage commands; see `classifySageFailure`. */
+export const SageFailure = {
+  DAEMON_UNAVAILABLE: "daemon_unavailable",
+  BINARY_MISSING: "binary_missing",
+  BAD_ARGUMENTS: "bad_arguments",
+  TIMEOUT: "timeout",
+  FAILED: "failed",
+};
+
+const DAEMON_DOWN_RE =
+  /daemon (is )?not running|connection refused|failed to connect|could not connect|no such file or directory.*\.sock|ECONNREFUSED/i;
+const BAD_ARGS_RE =
+  /unexpected argument|unrecognized (subcommand|option|argument)|invalid value|^usage:|required arguments were not provided/im;
+const NOT_FOUND_RE = /command not found|not found: |No such file or directory/i;
+// Shells report a missing binary on stderr, Bun's `$` as `bun: command not found: <bin>`
+// with exit code 1.
+const SHELL_NOT_FOUND_RE = /command not found/i;
+// Spawn errors that mean the process never started for lack of resources.
+const SPAWN_RETRY_CODES = new Set(["EAGAIN", "EMFILE", "ENFILE", "ENOMEM"]);
+
+/**
+ * Classify a failed command from what the transport reported.
+ *
+ * `error` may carry `code` (spawn/socket errno or ETIMEDOUT), `exitCode`, `stderr` and
+ * `unreachable` (set by the socket transport).
+ */
+export function classifySageFailure(error) {
+  const stderr = String(error?.stderr ?? "");
+  const exitCode = error?.exitCode ?? null;
+  if (error?.code === "ETIMEDOUT") return SageFailure.TIMEOUT;
+  if (error?.unreachable) return SageFailure.DAEMON_UNAVAILABLE;
+  if (error?.code === "ENOENT") return SageFailure.BINARY_MISSING;
+  if (
+    exitCode === 127 ||
+    SHELL_NOT_FOUND_RE.test(stderr) ||
+    (exitCode == null && NOT_FOUND_RE.test(String(error?.message)))
+  ) {
+    return SageFailure.BINARY_MISSING;
+  }
+  // Shell errors without stderr only carry the message
+  if (DAEMON_DOWN_RE.test(stderr || String(error?.message))) return SageFailure.DAEMON_UNAVAILABLE;
+  // clap exits 2 on usage errors
+  if (exitCode === 2 || BAD_ARGS_RE.test(stderr)) return SageFailure.BAD_ARGUMENTS;
+  return SageFailure.FAILED;
+}
+
+/**
+ * A failed sage command, with enough context to act on it.
+ *
+ * `command` names the subcommand only (e.g. `suggest skill`), never the arguments,
+ * since those carry prompt text.
+ */
+export class SageExecError extends Error {
+  constructor({ command, kind, exitCode = null, stderr = "", durationMs = null, cause }) {
+    const detail = stderr.trim().split("\n")[0] || cause?.message || String(cause ?? "");
+    super(
+      `sage ${command} failed [${kind}${exitCode != null ? `, exit ${exitCode}` : ""}]: ${detail}`,
+    );
+    this.name = "SageExecError";
+    this.command = command;
+    this.kind = kind;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+    this.durationMs = durationMs;
+    this.cause = cause;
+  }
+
+  /**
+   * Whether the command never reached sage, so retrying later can succeed without
+   * recording it twice (the queue only keeps these). A timed-out command may still be
+   * running and finish on its own, so it is not retryable.
+   */
+  get retryable() {
+    return this.kind === SageFailure.DAEMON_UNAVAILABLE || SPAWN_RETRY_CODES.has(this.cause?.code);
+  }
+
+  /** Log-friendly fields; stderr is truncated. */
+  toJSON() {
+    return {
+      command: this.command,
+      kind: this.kind,
+      exitCode: this.exitCode,
+      stderr: this.stderr.slice(0, 500),
+      durationMs: this.durationMs,
+    };
+  }
+}
@@ -0,0 +1,175 @@
+import { describe, expect, it } from "bun:test";
+import {
+  SageExecError,
+  SageFailure,
+  classifySageFailure,
+  createLimiter,
+  isAbortError,
+  runWithDeadline,
+} from "./exec.js";
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+};
+
+describe("runWithDeadline", () => {
+  it("resolves with the task result", async () => {
+    expect(await runWithDeadline(async () => "ok", { timeoutMs: 100 })).toBe("ok");
+  });
+
+  it("rejects with ETIMEDOUT and aborts the task signal", async () => {
+    let taskSignal;
+    const err = await runWithDeadline(
+      (signal) => {
+        taskSignal = signal;
+        return new Promise(() => {});
+      },
+      { timeoutMs: 10 },
+    ).catch((e) => e);
+
+    expect(err.code).toBe("ETIMEDOUT");
+    expect(taskSignal.aborted).toBe(true);
+  });
+
+  it("rejects with an AbortError when the caller aborts", async () => {
+    const controller = new AbortController();
+    const run = runWithDeadline(() => new Promise(() => {}), { signal: controller.signal });
+    controller.abort("superseded");
+
+    const err = await run.catch((e) => e);
+    expect(isAbortError(err)).toBe(true);
+  });
+
+  it("rejects immediately for an already-aborted signal", async () => {
+    let started = false;
+    const err = await runWithDeadline(
+      async () => {
+        started = true;
+      },
+      { signal: AbortSignal.abort() },
+    ).catch((e) => e);
+    expect(isAbortError(err)).toBe(true);
+    expect(started).toBe(false);
+  });
+});
+
+describe("createLimiter", () => {
+  it("runs at most max tasks at once, in FIFO order", async () => {
+    const limiter = createLimiter(2);
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+    const runs = gates.map((gate, i) =>
+      limiter.run(async () => {
+        started.push(i);
+        await gate.promise;
+        return i;
+      }),
+    );
+
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(started).toEqual([0, 1]);
+    expect(limiter.pending).toBe(1);
+
+    gates[0].resolve();
+    await runs[0];
+    await new Promise((r) => setTimeout(r, 0));
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    expect(await Promise.all(runs)).toEqual([0, 1, 2]);
+    expect(limiter.active).toBe(0);
+  });
+
+  it("drops waiting tasks whose signal aborts", async () => {
+    const limiter = createLimiter(1);
+    const gate = deferred();
+    const first = limiter.run(() => gate.promise);
+
+    const controller = new AbortController();
+    let ran = false;
+    const second = limiter.run(
+      async () => {
+        ran = true;
+      },
+      { signal: controller.signal },
+    );
+    controller.abort();
+
+    expect(isAbortError(await second.catch((e) => e))).toBe(true);
+    expect(limiter.pending).toBe(0);
+    gate.resolve();
+    await first;
+    expect(ran).toBe(false);
+  });
+
+  it("releases the slot when a task fails", async () => {
+    const limiter = createLimiter(1);
+    await limiter
+      .run(async () => {
+        throw new Error("boom");
+      })
+      .catch(() => {});
+    expect(await limiter.run(async () => "next")).toBe("next");
+  });
+});
+
+describe("classifySageFailure", () => {
+  const cases = [
+    [{ code: "ETIMEDOUT" }, SageFailure.TIMEOUT],
+    [{ code: "ENOENT", message: "spawn sage ENOENT" }, SageFailure.BINARY_MISSING],
+    [{ exitCode: 127, stderr: "sh: sage: command not found" }, SageFailure.BINARY_MISSING],
+    [{ exitCode: 1, stderr: "bun: command not found: sage\n" }, SageFailure.BINARY_MISSING],
+    [{ exitCode: 1, stderr: "Error: prompt not found: lib/x" }, SageFailure.FAILED],
+    [{ code: "ECONNREFUSED", unreachable: true }, SageFailure.DAEMON_UNAVAILABLE],
+    [{ exitCode: 1, stderr: "Error: daemon not running" }, SageFailure.DAEMON_UNAVAILABLE],
+    [{ message: "connection refused" }, SageFailure.DAEMON_UNAVAILABLE],
+    [
+      { exitCode: 2, stderr: "error: unexpected argument '--foo' found" },
+      SageFailure.BAD_ARGUMENTS,
+    ],
+    [{ exitCode: 1, stderr: "panicked at src/main.rs" }, SageFailure.FAILED],
+  ];
+
+  for (const [error, kind] of cases) {
+    it(`classifies ${JSON.stringify(error)} as ${kind}`, () => {
+      expect(classifySageFailure(error)).toBe(kind);
+    });
+  }
+});
+
+describe("SageExecError", () => {
+  it("summarizes command, kind, exit code and first stderr line", () => {
+    const err = new SageExecError({
+      command: "capture hook prompt",
+      kind: SageFailure.BAD_ARGUMENTS,
+      exitCode: 2,
+      stderr: "error: unexpected argument\n\nUsage: sage ...",
+      durationMs: 12,
+    });
+    expect(err.message).toBe(
+      "sage capture hook prompt failed [bad_arguments, exit 2]: error: unexpected argument",
+    );
+    expect(err.retryable).toBe(false);
+    expect(err.toJSON()).toMatchObject({ kind: "bad_arguments", exitCode: 2, durationMs: 12 });
+  });
+
+  it("marks only commands that never reached sage as retryable", () => {
+    const down = new SageExecError({ command: "x", kind: SageFailure.DAEMON_UNAVAILABLE });
+    const spawn = new SageExecError({
+      command: "x",
+      kind: SageFailure.FAILED,
+      cause: Object.assign(new Error("spawn sage EAGAIN"), { code: "EAGAIN" }),
+    });
+    // A timed-out command may still finish, so replaying it could record it twice
+    const slow = new SageExecError({ command: "x", kind: SageFailure.TIMEOUT });
+    expect(down.retryable).toBe(true);
+    expect(spawn.retryable).toBe(true);
+    expect(slow.retryable).toBe(false);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Inline feedback commands typed in the prompt:
+ *
+ *   /sage good [key]     the suggestion helped
+ *   /sage bad [key]      the suggestion didn't help
+ *   /sage hide <key>     never suggest it again (`unhide` undoes)
+ *   /sage pin <key>      always list it first when it's suggested (`unpin` undoes)
+ *
+ * Without a key, a command applies to the most recent suggestion's top result. Keys may
+ * be qualified (`library/key`) or bare (`key`).
+ */
+
+/** Actions accepted after `/sage`. */
+export const FEEDBACK_ACTIONS = ["good", "bad", "hide", "unhide", "pin", "unpin"];
+
+const COMMAND_RE = new RegExp(`^/sage\\s+(${FEEDBACK_ACTIONS.join("|")})(?:\\s+(\\S+))?$`, "i");
+
+/**
+ * Parse a prompt that consists of a single feedback command. Returns
+ * `{ action, key }` (`key` is null when omitted), or null for any other prompt.
+ */
+export function parseFeedbackCommand(text) {
+  if (typeof text !== "string") return null;
+  const m = COMMAND_RE.exec(text.trim());
+  if (!m) return null;
+  return { action: m[1].toLowerCase(), key: m[2] ?? null };
+}
+
+/** Whether `key` names `shownKey`, qualified or bare. */
+export function keyMatches(key, shownKey) {
+  return key === shownKey || shownKey.endsWith(`/${key}`);
+}
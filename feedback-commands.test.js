@@ -0,0 +1,30 @@
+import { describe, expect, it } from "bun:test";
+import { keyMatches, parseFeedbackCommand } from "./feedback-commands.js";
+
+describe("parseFeedbackCommand", () => {
+  it("parses actions with and without a key", () => {
+    expect(parseFeedbackCommand("/sage good")).toEqual({ action: "good", key: null });
+    expect(parseFeedbackCommand("  /sage BAD lib/db-optimizer \n")).toEqual({
+      action: "bad",
+      key: "lib/db-optimizer",
+    });
+    expect(parseFeedbackCommand("/sage unpin tests")).toEqual({ action: "unpin", key: "tests" });
+  });
+
+  it("ignores other prompts", () => {
+    expect(parseFeedbackCommand("/sage")).toBeNull();
+    expect(parseFeedbackCommand("/sage love it")).toBeNull();
+    expect(parseFeedbackCommand("/sage good tests please")).toBeNull();
+    expect(parseFeedbackCommand("please /sage good")).toBeNull();
+    expect(parseFeedbackCommand(undefined)).toBeNull();
+  });
+});
+
+describe("keyMatches", () => {
+  it("matches qualified and bare keys", () => {
+    expect(keyMatches("lib/tests", "lib/tests")).toBe(true);
+    expect(keyMatches("tests", "lib/tests")).toBe(true);
+    expect(keyMatches("other/tests", "lib/tests")).toBe(false);
+    expect(keyMatches("sts", "lib/tests")).toBe(false);
+  });
+});
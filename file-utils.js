@@ -0,0 +1,108 @@
+/**
+ * Small filesystem helpers shared by the plugin's on-disk stores (offline queue,
+ * suggestion preferences).
+ *
+ * Several OpenCode instances can share one data directory, so in-process locks are
+ * paired with lock files: a file created exclusively that holds the owner's pid. A lock
+ * file whose owner is no longer running is taken over.
+ */
+
+import { mkdir, open, readFile, rename, rm, stat, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+// A lock file that is still empty is being written by its creator; only an old one is
+// treated as abandoned.
+const EMPTY_LOCK_GRACE_MS = 1000;
+
+/**
+ * Create an in-process lock: `locked(fn)` runs `fn` once every earlier call has settled,
+ * so reads and rewrites of one file never interleave. Resolves or rejects with `fn`'s result.
+ */
+export function createLock() {
+  let chain = Promise.resolve();
+  return (fn) => {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * Replace `path` with `data` through a temp file and a rename, so readers see either the
+ * old or the new contents. Parent directories are created; the file is private (0600).
+ */
+export async function writeFileAtomic(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, data, { mode: 0o600 });
+  await rename(tmp, path);
+}
+
+const ownerGone = async (path) => {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (e) {
+    if (e?.code === "ENOENT") return true;
+    throw e;
+  }
+  const pid = Number.parseInt(text, 10);
+  if (!Number.isInteger(pid) || pid <= 0) {
+    try {
+      return Date.now() - (await stat(path)).mtimeMs > EMPTY_LOCK_GRACE_MS;
+    } catch {
+      return true;
+    }
+  }
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (e) {
+    // EPERM: alive, but owned by another user
+    return e?.code === "ESRCH";
+  }
+};
+
+/**
+ * Try to take the lock file at `path` without waiting. Resolves to a function that
+ * releases it, or null while another live holder (this process included) has it.
+ */
+export async function tryLockFile(path) {
+  await mkdir(dirname(path), { recursive: true });
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const handle = await open(path, "wx", 0o600);
+      try {
+        await handle.writeFile(String(process.pid));
+      } finally {
+        await handle.close();
+      }
+      return () => rm(path, { force: true });
+    } catch (e) {
+      if (e?.code !== "EEXIST") throw e;
+      if (!(await ownerGone(path))) return null;
+      await rm(path, { force: true });
+    }
+  }
+  return null;
+}
+
+/**
+ * Run `fn` while holding the lock file at `path`, polling every `retryMs` until it is
+ * free. Rejects if the lock is still held after `timeoutMs`.
+ */
+export async function withLockFile(path, fn, { retryMs = 10, timeoutMs = 10_000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const release = await tryLockFile(path);
+    if (release) {
+      try {
+        return await fn();
+      } finally {
+        await release();
+      }
+    }
+    if (Date.now() >= deadline) throw new Error(`timed out waiting for lock ${path}`);
+    await new Promise((r) => setTimeout(r, retryMs));
+  }
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "bun:test";
+import {
+  existsSync,
+  mkdtempSync,
+  readFileSync,
+  readdirSync,
+  statSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createLock, tryLockFile, withLockFile, writeFileAtomic } from "./file-utils.js";
+
+describe("createLock", () => {
+  it("runs calls one at a time in order, even after a failure", async () => {
+    const locked = createLock();
+    const log = [];
+    const step = (name, ms, fail = false) =>
+      locked(async () => {
+        log.push(`${name}:start`);
+        await new Promise((r) => setTimeout(r, ms));
+        log.push(`${name}:end`);
+        if (fail) throw new Error(name);
+        return name;
+      });
+
+    const results = await Promise.allSettled([step("a", 10, true), step("b", 1), step("c", 1)]);
+    expect(results.map((r) => r.status)).toEqual(["rejected", "fulfilled", "fulfilled"]);
+    expect(log).toEqual(["a:start", "a:end", "b:start", "b:end", "c:start", "c:end"]);
+  });
+});
+
+describe("writeFileAtomic", () => {
+  it("creates parent directories and leaves no temp file behind", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "sage-file-utils-"));
+    const path = join(dir, "nested", "data.json");
+
+    await writeFileAtomic(path, "one\n");
+    await writeFileAtomic(path, "two\n");
+
+    expect(readFileSync(path, "utf8")).toBe("two\n");
+    expect(readdirSync(join(dir, "nested"))).toEqual(["data.json"]);
+    expect(statSync(path).mode & 0o777).toBe(0o600);
+  });
+});
+
+describe("lock files", () => {
+  const lockPath = () => join(mkdtempSync(join(tmpdir(), "sage-lock-")), "data.lock");
+
+  it("holds the lock for one owner until released", async () => {
+    const path = lockPath();
+    const release = await tryLockFile(path);
+    expect(readFileSync(path, "utf8")).toBe(String(process.pid));
+    expect(await tryLockFile(path)).toBeNull();
+
+    await release();
+    expect(existsSync(path)).toBe(false);
+    expect(await tryLockFile(path)).not.toBeNull();
+  });
+
+  it("takes over a lock left by a process that exited", async () => {
+    const path = lockPath();
+    // Above the kernel's pid limit, so never a running process
+    writeFileSync(path, "999999999");
+    expect(await tryLockFile(path)).not.toBeNull();
+  });
+
+  it("withLockFile waits for the holder, then times out", async () => {
+    const path = lockPath();
+    const release = await tryLockFile(path);
+    setTimeout(() => void release(), 30);
+    expect(await withLockFile(path, async () => "ran", { retryMs: 5 })).toBe("ran");
+    expect(existsSync(path)).toBe(false);
+
+    await tryLockFile(path);
+    await expect(withLockFile(path, async () => "ran", { timeoutMs: 20 })).rejects.toThrow(
+      "timed out waiting for lock",
+    );
+  });
+});
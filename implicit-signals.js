@@ -0,0 +1,121 @@
+/**
+ * Implicit helpfulness signals: evidence in an assistant turn that a shown suggestion
+ * was used, without the user saying so.
+ *
+ * - markers: the response includes `[[sage:prompt_key=library/key]]`. When several shown
+ *   keys are marked, each gets an equal share instead of the turn being discarded.
+ * - quoting: the response repeats a substantial part of the suggestion's `content`.
+ * - tools: the assistant called a tool the suggestion lists in `tools`, or passed the
+ *   suggestion's key to a tool (e.g. loading the skill by name).
+ *
+ * Signals for the same key are combined as independent evidence (noisy-OR).
+ */
+
+/** Confidence contributed by a tool call matching a suggestion. */
+export const TOOL_SIGNAL_WEIGHT = 0.5;
+
+/** Words per shingle when looking for quoted content. */
+export const QUOTE_SHINGLE_WORDS = 6;
+
+/** Extract `[[sage:prompt_key=...]]` markers from `text` (explicit markers only). */
+export function parsePromptKeyMarkers(text) {
+  const re = /\[\[sage:prompt_key=([^\]]+)\]\]/g;
+  const keys = new Set();
+  for (;;) {
+    const m = re.exec(text);
+    if (!m) break;
+    const key = (m[1] || "").trim();
+    if (key) keys.add(key);
+  }
+  return Array.from(keys);
+}
+
+const words = (text) =>
+  String(text ?? "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+const shingles = (list, n) => {
+  const out = new Set();
+  for (let i = 0; i + n <= list.length; i++) out.add(list.slice(i, i + n).join(" "));
+  return out;
+};
+
+/**
+ * Fraction (0-1) of `content`'s word shingles that appear in `response`. Content shorter
+ * than one shingle counts as quoted only when it appears whole.
+ */
+export function quotedFraction(content, response, { shingleWords = QUOTE_SHINGLE_WORDS } = {}) {
+  const source = words(content);
+  if (source.length === 0) return 0;
+  const target = words(response);
+  if (source.length < shingleWords) {
+    return ` ${target.join(" ")} `.includes(` ${source.join(" ")} `) ? 1 : 0;
+  }
+  const wanted = shingles(source, shingleWords);
+  const seen = shingles(target, shingleWords);
+  let hits = 0;
+  for (const s of wanted) if (seen.has(s)) hits += 1;
+  return hits / wanted.size;
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Whether a tool call (`{ tool, input }`) is one `result` would trigger: its name is in
+ * `result.tools`, or its input names the result's key. Bare keys without a separator
+ * (e.g. `tests`) are too common to match on.
+ */
+export function toolCallMatches(call, result) {
+  const tool = String(call?.tool ?? "").toLowerCase();
+  if (tool && (result.tools ?? []).some((t) => String(t).toLowerCase() === tool)) return true;
+
+  const input = JSON.stringify(call?.input ?? {});
+  const bare = result.key.split("/").pop();
+  const names = [result.key, ...(/[-_]/.test(bare) ? [bare] : [])];
+  return names.some((name) =>
+    new RegExp(`(^|[^A-Za-z0-9_-])${escapeRe(name)}([^A-Za-z0-9_-]|$)`).test(input),
+  );
+}
+
+/**
+ * Collect implicit signals for the suggestions in one assistant turn.
+ *
+ * `results` are the shown results (`{ key, content?, tools? }`); markers only count for
+ * `shownKeys`. Returns `[{ key, confidence, features }]`, strongest first, where
+ * `features` records which signals fired (`markers`, `quoted`, `tools`).
+ */
+export function detectImplicitSignals({
+  responseText = "",
+  toolCalls = [],
+  results = [],
+  shownKeys = [],
+  quoteThreshold = 0.3,
+}) {
+  const byKey = new Map();
+  const add = (key, weight, feature) => {
+    const entry = byKey.get(key) ?? { key, miss: 1, features: {} };
+    entry.miss *= 1 - Math.min(1, weight);
+    Object.assign(entry.features, feature);
+    byKey.set(key, entry);
+  };
+
+  const shown = new Set(shownKeys);
+  const marked = parsePromptKeyMarkers(responseText).filter((k) => shown.has(k));
+  for (const key of marked) add(key, 1 / marked.length, { markers: marked.length });
+
+  for (const r of results) {
+    if (!r.key) continue;
+    if (r.content && responseText) {
+      const fraction = quotedFraction(r.content, responseText);
+      if (fraction >= quoteThreshold) add(r.key, fraction, { quoted: fraction });
+    }
+    const tools = toolCalls.filter((c) => toolCallMatches(c, r)).map((c) => c.tool);
+    if (tools.length > 0) add(r.key, TOOL_SIGNAL_WEIGHT, { tools });
+  }
+
+  return [...byKey.values()]
+    .map(({ key, miss, features }) => ({ key, confidence: 1 - miss, features }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
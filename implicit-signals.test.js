@@ -0,0 +1,106 @@
+import { describe, expect, it } from "bun:test";
+import {
+  detectImplicitSignals,
+  parsePromptKeyMarkers,
+  quotedFraction,
+  toolCallMatches,
+} from "./implicit-signals.js";
+
+describe("parsePromptKeyMarkers", () => {
+  it("extracts unique keys", () => {
+    const text =
+      "a [[sage:prompt_key=lib/a]] b [[sage:prompt_key= lib/b ]] [[sage:prompt_key=lib/a]]";
+    expect(parsePromptKeyMarkers(text)).toEqual(["lib/a", "lib/b"]);
+    expect(parsePromptKeyMarkers("no markers")).toEqual([]);
+  });
+});
+
+describe("quotedFraction", () => {
+  const content = "Run the migration first then restart the worker and check the logs for errors";
+
+  it("measures how much of the content the response repeats", () => {
+    expect(quotedFraction(content, `Sure. ${content}.`)).toBe(1);
+    expect(quotedFraction(content, "Run the migration first then restart the worker.")).toBeCloseTo(
+      3 / 9,
+      10,
+    );
+    expect(quotedFraction(content, "Something else entirely")).toBe(0);
+  });
+
+  it("requires short content to appear whole", () => {
+    expect(quotedFraction("use bun test", "Just use bun test here")).toBe(1);
+    expect(quotedFraction("use bun test", "use bun for tests")).toBe(0);
+    expect(quotedFraction("", "anything")).toBe(0);
+  });
+});
+
+describe("toolCallMatches", () => {
+  it("matches listed tools case-insensitively", () => {
+    expect(toolCallMatches({ tool: "Bash" }, { key: "lib/x", tools: ["bash"] })).toBe(true);
+    expect(toolCallMatches({ tool: "read" }, { key: "lib/x", tools: ["bash"] })).toBe(false);
+  });
+
+  it("matches inputs that name the key", () => {
+    const result = { key: "lib/db-optimizer" };
+    expect(toolCallMatches({ tool: "skill", input: { name: "lib/db-optimizer" } }, result)).toBe(
+      true,
+    );
+    expect(toolCallMatches({ tool: "skill", input: { name: "db-optimizer" } }, result)).toBe(true);
+    expect(toolCallMatches({ tool: "skill", input: { name: "db-optimizer-v2" } }, result)).toBe(
+      false,
+    );
+    // Bare keys without a separator are too generic
+    expect(
+      toolCallMatches({ tool: "bash", input: { cmd: "run tests" } }, { key: "lib/tests" }),
+    ).toBe(false);
+  });
+});
+
+describe("detectImplicitSignals", () => {
+  const results = [
+    { key: "lib/a", content: "Always pin dependency versions in the lockfile before release" },
+    { key: "lib/b", tools: ["webfetch"] },
+    { key: "lib/c" },
+  ];
+  const shownKeys = results.map((r) => r.key);
+
+  it("splits marker credit across several marked keys", () => {
+    const signals = detectImplicitSignals({
+      responseText: "[[sage:prompt_key=lib/b]] [[sage:prompt_key=lib/c]] [[sage:prompt_key=lib/z]]",
+      results,
+      shownKeys,
+    });
+    expect(signals).toEqual([
+      { key: "lib/b", confidence: 0.5, features: { markers: 2 } },
+      { key: "lib/c", confidence: 0.5, features: { markers: 2 } },
+    ]);
+  });
+
+  it("combines quotes, tool calls and markers per key", () => {
+    const signals = detectImplicitSignals({
+      responseText:
+        "Always pin dependency versions in the lockfile before release. [[sage:prompt_key=lib/b]]",
+      toolCalls: [{ tool: "webfetch", input: { url: "https://example.com" } }],
+      results,
+      shownKeys,
+    });
+    expect(signals.map((s) => [s.key, s.confidence])).toEqual([
+      ["lib/b", 1],
+      ["lib/a", 1],
+    ]);
+    expect(signals[0].features).toEqual({ markers: 1, tools: ["webfetch"] });
+  });
+
+  it("ignores quotes below the threshold", () => {
+    const responseText = "Always pin dependency versions in the end.";
+    expect(detectImplicitSignals({ responseText, results, shownKeys })).toEqual([]);
+    const [signal] = detectImplicitSignals({
+      responseText,
+      results,
+      shownKeys,
+      quoteThreshold: 0.2,
+    });
+    expect(signal.key).toBe("lib/a");
+    expect(signal.confidence).toBeCloseTo(0.25, 10);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Prefix reuse for incremental suggestions.
+ *
+ * While the user keeps typing, each new input usually extends the last one. Results
+ * fetched for `fix the flaky` are still a good answer for `fix the flaky test`, so they
+ * are reused until the input has grown by more than a few words, instead of asking sage
+ * again on every pause.
+ */
+
+import { normalizePrompt } from "./suggest-cache.js";
+
+/**
+ * Number of words `next` adds to `previous` (a partly typed last word counts as one), or
+ * -1 when `next` doesn't extend `previous`. Whitespace and case are ignored.
+ */
+export function extensionWords(previous, next) {
+  const prev = normalizePrompt(previous);
+  const cur = normalizePrompt(next);
+  if (!prev || !cur.startsWith(prev)) return -1;
+  return cur.slice(prev.length).split(" ").filter(Boolean).length;
+}
+
+/**
+ * Remember the last fetched query per scope (e.g. workspace + limit) and hand its output
+ * back for inputs that extend it by at most `maxNewWords` words. Output remembered under
+ * an older `version()` (see `librariesVersion`) is not reused.
+ */
+export function createPrefixReuse({ maxNewWords = 2, version = () => "" } = {}) {
+  let last = null; // { scope, query, output, version }
+
+  return {
+    remember(scope, query, output) {
+      last = { scope, query, output, version: version() };
+    },
+
+    /** Reusable output for `query`, or undefined. */
+    lookup(scope, query) {
+      if (!last || last.scope !== scope) return undefined;
+      if (last.version !== version()) {
+        last = null;
+        return undefined;
+      }
+      const added = extensionWords(last.query, query);
+      return added >= 0 && added <= maxNewWords ? last.output : undefined;
+    },
+
+    clear() {
+      last = null;
+    },
+  };
+}
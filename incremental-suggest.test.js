@@ -0,0 +1,37 @@
+import { describe, expect, it } from "bun:test";
+import { createPrefixReuse, extensionWords } from "./incremental-suggest.js";
+
+describe("extensionWords", () => {
+  it("counts the words the new input adds", () => {
+    expect(extensionWords("fix the", "fix the flaky test")).toBe(2);
+    expect(extensionWords("fix the fl", "Fix  the flaky")).toBe(1);
+    expect(extensionWords("fix the", "fix the ")).toBe(0);
+    expect(extensionWords("fix the", "fix a")).toBe(-1);
+    expect(extensionWords("", "fix")).toBe(-1);
+  });
+});
+
+describe("createPrefixReuse", () => {
+  it("reuses output for inputs extending the last query by a few words", () => {
+    const reuse = createPrefixReuse({ maxNewWords: 2 });
+    expect(reuse.lookup("ws", "fix the")).toBeUndefined();
+    reuse.remember("ws", "fix the", "out");
+    expect(reuse.lookup("ws", "fix the flaky test")).toBe("out");
+    expect(reuse.lookup("ws", "fix the flaky test now")).toBeUndefined();
+    expect(reuse.lookup("ws", "rename it")).toBeUndefined();
+    expect(reuse.lookup("other", "fix the flaky")).toBeUndefined();
+    reuse.clear();
+    expect(reuse.lookup("ws", "fix the")).toBeUndefined();
+  });
+
+  it("stops reusing output once the libraries version changes", () => {
+    let version = "v1";
+    const reuse = createPrefixReuse({ version: () => version });
+    reuse.remember("ws", "fix the", "out");
+    expect(reuse.lookup("ws", "fix the flaky")).toBe("out");
+    version = "v2";
+    expect(reuse.lookup("ws", "fix the flaky")).toBeUndefined();
+    version = "v1";
+    expect(reuse.lookup("ws", "fix the flaky")).toBeUndefined();
+  });
+});
@@ -1,54 +1,324 @@
 // Sage OpenCode plugin: capture + suggest + RLM feedback combined
 //
 // Uses the documented OpenCode plugin event handler pattern.
-// Spawns sage commands via the `$` shell helper for portability.
+// Runs sage commands through a pluggable transport (see transport.js): the `$` shell
+// helper by default, or the daemon's Unix socket when configured.
 // Now includes RLM feedback appending when steering is detected.
+// Capture/suggestion state is tracked per OpenCode session (see session-registry.js).
 
-export const SagePlugin = async ({ client, $, directory }) => {
-  const CONFIG = {
-    sageBin: process.env.SAGE_BIN || "sage",
-    suggestLimit: Number.parseInt(process.env.SAGE_SUGGEST_LIMIT || "3", 10),
-    debounceMs: Number.parseInt(process.env.SAGE_SUGGEST_DEBOUNCE_MS || "800", 10),
-    provision: (process.env.SAGE_SUGGEST_PROVISION || "1") === "1",
-    dryRun: (process.env.SAGE_PLUGIN_DRY_RUN || "0") === "1",
-    enableRlmFeedback: (process.env.SAGE_RLM_FEEDBACK || "1") === "1",
-  };
+import { buildCapturePayload } from "./capture-payload.js";
+import { createCapturePolicy, hasNoCaptureMarker } from "./capture-policy.js";
+import { CONFIG_SCHEMA, diffConfig, loadConfig, watchConfigFiles } from "./config.js";
+import {
+  classifyCorrelation,
+  correlationWeight,
+  createCorrelationScorer,
+  inCorrelationWindow,
+} from "./correlation.js";
+import { createInjectionTracker, displaySuggestion } from "./display.js";
+import {
+  SageExecError,
+  SageFailure,
+  classifySageFailure,
+  createLimiter,
+  isAbortError,
+  runWithDeadline,
+} from "./exec.js";
+import { keyMatches, parseFeedbackCommand } from "./feedback-commands.js";
+import { detectImplicitSignals } from "./implicit-signals.js";
+import { createPrefixReuse } from "./incremental-suggest.js";
+import { createMcpSession } from "./mcp-client.js";
+import { createOfflineQueue } from "./offline-queue.js";
+import { partsText } from "./part-assembler.js";
+import { sageLibrariesDir } from "./paths.js";
+import { createRedactor, summarizeRedactions } from "./redact.js";
+import { filterRelevant, resultScore } from "./relevance.js";
+import { renderSuggestions } from "./render.js";
+import {
+  addUsage,
+  createSessionRegistry,
+  emptyUsage,
+  recordSuggestion,
+} from "./session-registry.js";
+import { createSuggestCache, librariesVersion, suggestCacheKey } from "./suggest-cache.js";
+import { createSuggestionPrefs } from "./suggestion-prefs.js";
+import { commandName, createTransport } from "./transport.js";
+
+// `options` are the plugin options from opencode.json, when OpenCode passes them.
+// `watchConfig` replaces the config file watcher (tests drive reloads through it).
+export const SagePlugin = async (
+  { client, $, directory, watchConfig = watchConfigFiles },
+  options = {},
+) => {
+  // Layered config: defaults < user file < project .sage/plugin.json < options < env.
+  // CONFIG is updated in place when the config files change, so read it at use time.
+  const { config: CONFIG, warnings: configWarnings } = loadConfig({ directory, options });
 
-  let promptCaptured = false;
+  // The TUI prompt is shared, so debounce state stays plugin-wide.
   let lastInput = "";
   let lastInjected = "";
   let timer = null;
+  let previewTimer = null; // early "N skills match" preview in incremental mode
   let runId = 0;
+  let suggestAbort = null; // cancels the in-flight suggest run when a newer one starts
+  // Suggestion text put into the prompt, cut out again before capture and correlation
+  const injected = createInjectionTracker();
+  let suggestInFlight = null; // { key, signal, promise } shared by the preview and the full run
 
-  // Session/model tracking (populated by chat.message hook or session.created event)
+  // Active session: the one the user is typing into. Subagent sessions never take it over,
+  // and events without a sessionID are attributed to it.
   let currentSessionId = null;
-  let currentModel = null;
-  let assistantParts = []; // accumulate streaming text parts
-
-  // RLM Feedback tracking
-  let lastSuggestion = null;
-  let lastSuggestionTimestamp = null;
-  let lastSuggestionPromptKey = null; // qualified: library/key
-  let lastSuggestionId = null;
-  let lastShownPromptKeys = [];
-  let lastAcceptedFeedbackSent = false;
-  let lastImplicitFeedbackSent = false;
-  const SUGGESTION_CORRELATION_WINDOW_MS = 30000; // 30 second window
-
-  const parsePromptKeyMarkers = (text) => {
-    // Explicit markers only; no fuzzy matching.
-    // Marker format: [[sage:prompt_key=library/key]]
-    const re = /\[\[sage:prompt_key=([^\]]+)\]\]/g;
-    const keys = new Set();
-    for (;;) {
-      const m = re.exec(text);
-      if (!m) break;
-      const key = (m[1] || "").trim();
-      if (key) keys.add(key);
-    }
-    return Array.from(keys);
+
+  // Capture + RLM feedback tracking, one state per session
+  const sessions = createSessionRegistry({ idleMs: CONFIG.sessionIdleMs });
+  const sessionFor = (sessionId) => sessions.get(sessionId ?? currentSessionId);
+  // Where a session sits in the tree, attached to its captures and feedback
+  const lineage = (state) => ({
+    parentSessionId: state?.parentId ?? null,
+    agent: state?.agent ?? null,
+  });
+  const lineageEnv = (state) => ({
+    SAGE_PARENT_SESSION_ID: state?.parentId ?? "",
+    SAGE_AGENT: state?.agent ?? "",
+  });
+  // Longest suggestion content kept per result for quote detection.
+  const MAX_QUOTE_CONTENT_CHARS = 20_000;
+  // Shared across sessions so document frequencies reflect all of the user's prompts.
+  const scorer = createCorrelationScorer();
+
+  // Prompts, responses and feedback pass through the redactor before reaching sage.
+  const buildRedactor = () =>
+    CONFIG.redact
+      ? createRedactor({ patterns: CONFIG.redactPatterns, highEntropy: CONFIG.redactHighEntropy })
+      : null;
+  let redactor = buildRedactor();
+  const redact = (text) => (redactor ? redactor.redact(text) : { text, count: 0, types: {} });
+  // Redaction counts recorded alongside captures (SAGE_ATTRIBUTES_JSON / --attributes-json).
+  const redactionAttributes = (...results) =>
+    redactor ? { redactions: summarizeRedactions(...results) } : {};
+
+  // Recent suggest output, reused for repeated prompts until the libraries change.
+  const buildSuggestCache = () =>
+    CONFIG.suggestCacheTtlMs > 0
+      ? createSuggestCache({
+          maxEntries: CONFIG.suggestCacheSize,
+          ttlMs: CONFIG.suggestCacheTtlMs,
+          version: () => librariesVersion(sageLibrariesDir()),
+        })
+      : null;
+  let suggestCache = buildSuggestCache();
+  // Incremental mode: results for the last query, reused while the input extends it and,
+  // like the cache, until the libraries change.
+  const buildPrefixReuse = () =>
+    createPrefixReuse({
+      maxNewWords: CONFIG.suggestReuseMaxWords,
+      version: () => librariesVersion(sageLibrariesDir()),
+    });
+  let prefixReuse = buildPrefixReuse();
+
+  // Every part of a message for the capture hooks (SAGE_CAPTURE_PAYLOAD_JSON), or null
+  // when structured capture is off. The text is already in PROMPT/SAGE_RESPONSE.
+  const capturePayload = (role, parts) =>
+    CONFIG.captureParts
+      ? buildCapturePayload({
+          role,
+          parts,
+          omitText: true,
+          redact,
+          limits: {
+            text: CONFIG.captureTextMaxChars,
+            reasoning: CONFIG.captureReasoningMaxChars,
+            tool: CONFIG.captureToolMaxChars,
+          },
+        })
+      : null;
+  // Env and redaction results for a payload.
+  const payloadEnv = (built) =>
+    built ? { SAGE_CAPTURE_PAYLOAD_JSON: JSON.stringify(built.payload) } : {};
+  const payloadRedactions = (built) => (built?.redactions ?? []).map((r) => r.result);
+
+  // Cost, token and timing figures for a completed assistant message; unknown values are
+  // null. Timings run from the captured prompt.
+  const responseUsage = (state, info) => {
+    const finishedAt = info.time?.completed ?? Date.now();
+    const since = (t) =>
+      state.promptAt != null && t != null ? Math.max(0, t - state.promptAt) : null;
+    return {
+      provider: info.providerID ?? state.providerID ?? null,
+      model: info.modelID ?? state.model ?? null,
+      cost: typeof info.cost === "number" ? info.cost : null,
+      tokens: {
+        input: info.tokens?.input ?? null,
+        output: info.tokens?.output ?? null,
+        reasoning: info.tokens?.reasoning ?? null,
+        cacheRead: info.tokens?.cache?.read ?? null,
+        cacheWrite: info.tokens?.cache?.write ?? null,
+      },
+      latencyMs: since(finishedAt),
+      timeToFirstPartMs: since(state.firstPartAt),
+    };
+  };
+  const envNumber = (n) => (n == null ? "" : String(n));
+  // Usage of a turn's assistant messages: cost and tokens summed, timings to the last one.
+  const turnUsage = (state, infos) => {
+    const usages = infos.map((info) => responseUsage(state, info));
+    const sum = (get) => {
+      const values = usages.map(get).filter((v) => v != null);
+      return values.length > 0 ? values.reduce((a, b) => a + b, 0) : null;
+    };
+    const last = usages.at(-1);
+    return {
+      ...last,
+      cost: sum((u) => u.cost),
+      tokens: Object.fromEntries(Object.keys(last.tokens).map((k) => [k, sum((u) => u.tokens[k])])),
+    };
+  };
+
+  // Add a finished assistant message to its session's totals and to the subagent totals
+  // of every ancestor. A message is counted once however often it is updated.
+  const countUsage = (state, info) => {
+    if (info.id) {
+      if (state.countedMessages.has(info.id)) return;
+      state.countedMessages.add(info.id);
+    }
+    const usage = responseUsage(state, info);
+    addUsage(state.usage, usage);
+    const seen = new Set([state.id]);
+    for (let id = state.parentId; id && !seen.has(id); ) {
+      seen.add(id);
+      const parent = sessions.peek(id);
+      if (!parent) break;
+      addUsage(parent.subagentUsage, usage);
+      id = parent.parentId;
+    }
+  };
+  const sessionSummary = (state) => ({
+    sessionId: state.id,
+    agent: state.agent,
+    subagents: state.children.size,
+    usage: state.usage,
+    subagentUsage: state.subagentUsage,
+    total: addUsage(addUsage(emptyUsage(), state.usage), state.subagentUsage),
+  });
+
+  // The suggestion a captured prompt was compared against and the verdict at that point,
+  // so captures can be joined to `suggest prompt capture` by suggestion ID.
+  const suggestionLink = (correlation) =>
+    correlation
+      ? {
+          id: correlation.suggestionId,
+          verdict: correlation.type,
+          key: correlation.key,
+          confidence: correlation.confidence,
+        }
+      : null;
+  const suggestionEnv = (link) => ({
+    SAGE_SUGGESTION_ID: link?.id ?? "",
+    SAGE_SUGGESTION_VERDICT: link?.verdict ?? "",
+  });
+
+  // Which turns may be recorded at all (workspace/agent/model rules, nocapture marker).
+  const buildPolicy = () =>
+    createCapturePolicy({
+      capture: CONFIG.capture,
+      includeDirs: CONFIG.captureIncludeDirs,
+      excludeDirs: CONFIG.captureExcludeDirs,
+      excludeAgents: CONFIG.captureExcludeAgents,
+      excludeModels: CONFIG.captureExcludeModels,
+    });
+  let policy = buildPolicy();
+
+  // Capture/feedback calls that fail while the daemon is down are buffered on disk
+  // and replayed in order (see offline-queue.js). Dry runs never touch the queue.
+  const queue =
+    CONFIG.queue && !CONFIG.dryRun
+      ? createOfflineQueue({
+          path: CONFIG.queuePath ?? undefined,
+          maxEntries: CONFIG.queueMaxEntries,
+        })
+      : null;
+  let queuePending = false;
+  let replayTimer = null;
+
+  const replayQueue = async () => {
+    try {
+      // Bad arguments or a missing binary won't fix themselves; drop those entries.
+      const result = await queue.drain(execSage, { isRetryable: (e) => e?.retryable !== false });
+      queuePending = result.remaining > 0;
+      if (result.replayed || result.dropped) {
+        await log("info", "replayed queued sage commands", {
+          replayed: result.replayed,
+          dropped: result.dropped,
+          remaining: result.remaining,
+        });
+      }
+      if (result.retryInMs != null) scheduleReplay(result.retryInMs);
+      return result;
+    } catch (e) {
+      await log("warn", "sage queue replay failed", { error: String(e) });
+      return null;
+    }
+  };
+
+  const scheduleReplay = (delayMs) => {
+    if (replayTimer) return;
+    replayTimer = setTimeout(() => {
+      replayTimer = null;
+      void replayQueue();
+    }, delayMs);
+    // Never keep the host process alive just to retry.
+    replayTimer.unref?.();
   };
 
+  // Run a capture/feedback command, queueing it for replay if the daemon is unreachable or
+  // the command timed out. Other failures (bad arguments, missing binary) are thrown.
+  // Resolves to "" once queued; only throws if the command could not be queued either.
+  const execSageDurable = async (args, env = {}) => {
+    if (!queue) return execSage(args, env);
+
+    const enqueue = async (error) => {
+      const { dropped } = await queue.enqueue({ args, env });
+      queuePending = true;
+      await log(error ? "warn" : "debug", "sage command queued for replay", {
+        command: args.slice(0, 3).join(" "),
+        dropped,
+        ...(error ? { error: String(error) } : {}),
+      });
+      scheduleReplay(CONFIG.queueRetryMs);
+      return "";
+    };
+
+    // Preserve ordering: while older entries are pending, new ones line up behind them
+    // and the replay happens in the background instead of stalling the chat turn.
+    if (queuePending) return enqueue();
+
+    try {
+      return await execSage(args, env);
+    } catch (e) {
+      // Only commands sage never received are queued; a timed-out one may still finish
+      // (the `$` helper can't kill it), and replaying it would record it twice.
+      if (!e?.retryable) throw e;
+      try {
+        return await enqueue(e);
+      } catch {
+        throw e;
+      }
+    }
+  };
+
+  if (queue) {
+    // Pick up entries left over from a previous editor session.
+    void queue
+      .stats()
+      .then((stats) => {
+        if (stats.count > 0) {
+          queuePending = true;
+          scheduleReplay(0);
+        }
+      })
+      .catch(() => {});
+  }
+
   const recordPromptSuggestion = async ({
     suggestionId,
     prompt,
@@ -57,7 +327,7 @@ export const SagePlugin = async ({ client, $, directory }) => {
     attributesJson,
   }) => {
     try {
-      await execSage([
+      await execSageDurable([
         "suggest",
         "prompt",
         "capture",
@@ -71,28 +341,31 @@ export const SagePlugin = async ({ client, $, directory }) => {
       ]);
       return true;
     } catch (e) {
-      await log("debug", "prompt suggestion capture failed (daemon may be down)", {
-        error: String(e),
-      });
+      await logExecFailure("debug", "prompt suggestion capture failed", e);
       return false;
     }
   };
 
-  const recordPromptSuggestionFeedback = async ({ suggestionId, events }) => {
+  // `state` adds the session's lineage to every event's features.
+  const recordPromptSuggestionFeedback = async ({ state, suggestionId, events }) => {
+    const session = lineage(state);
     try {
-      await execSage([
+      await execSageDurable([
         "suggest",
         "prompt",
         "feedback",
         suggestionId,
         "--events-json",
-        JSON.stringify(events),
+        JSON.stringify(
+          events.map((e) => ({
+            ...e,
+            features_json: JSON.stringify({ ...JSON.parse(e.features_json ?? "{}"), ...session }),
+          })),
+        ),
       ]);
       return true;
     } catch (e) {
-      await log("debug", "prompt suggestion feedback failed (daemon may be down)", {
-        error: String(e),
-      });
+      await logExecFailure("debug", "prompt suggestion feedback failed", e);
       return false;
     }
   };
@@ -114,31 +387,138 @@ export const SagePlugin = async ({ client, $, directory }) => {
     }
   };
 
-  const execSage = async (args, env = {}) => {
-    if (CONFIG.dryRun) return "";
+  for (const warning of configWarnings) {
+    await log("warn", "invalid sage plugin config", warning);
+  }
 
-    const sageEnv = { ...env, SAGE_SOURCE: "opencode" };
+  // Keys hidden or pinned with `/sage hide|pin`, shared by all sessions and instances.
+  const prefs = createSuggestionPrefs({ path: CONFIG.prefsPath ?? undefined });
+  try {
+    await prefs.load();
+  } catch (e) {
+    await log("warn", "failed to load sage suggestion preferences", {
+      path: prefs.path,
+      error: String(e),
+    });
+  }
+
+  const buildTransport = () =>
+    createTransport({
+      mode: CONFIG.transport,
+      $,
+      sageBin: CONFIG.sageBin,
+      socketPath: CONFIG.socketPath,
+      timeoutMs: CONFIG.socketTimeoutMs,
+      log: (...args) => log(...args),
+    });
+  let transport = buildTransport();
 
+  // Optional long-lived `sage mcp start` child for suggestions, prompt fetches and stats.
+  // Spawned on first use; every call falls back to the CLI when it is unavailable.
+  const buildMcp = () =>
+    CONFIG.mcpSession && !CONFIG.dryRun
+      ? createMcpSession({
+          sageBin: CONFIG.sageBin,
+          env: { SAGE_SOURCE: "opencode" },
+          log: (...args) => log(...args),
+        })
+      : null;
+  let mcp = buildMcp();
+
+  // Call an MCP tool if the session is enabled and serves it; null means "use the CLI".
+  // Calls share the exec pool and get the same deadline as the CLI command they replace;
+  // `signal` cancels them, rejecting with an AbortError as `execSage` does.
+  const callMcpTool = async (name, args, { signal, timeoutMs = CONFIG.execTimeoutMs } = {}) => {
+    if (!mcp) return null;
+    const session = mcp;
     try {
-      if ($) {
-        // Use OpenCode's $ shell helper for portability
-        const cmd = [CONFIG.sageBin, ...args].map((a) => `'${a.replace(/'/g, "'\\''")}'`).join(" ");
-        const result = await $({ env: sageEnv })`${cmd}`;
-        return (result?.stdout ?? result ?? "").toString().trim();
+      const result = await runWithDeadline(
+        (runSignal) =>
+          execPool.run(
+            async () => {
+              const opts = { signal: runSignal, timeoutMs };
+              if (!(await session.hasTool(name, opts))) return null;
+              return session.callTool(name, args, opts);
+            },
+            { signal: runSignal },
+          ),
+        { timeoutMs, signal },
+      );
+      if (!result) return null;
+      if (result.isError) {
+        await log("debug", "sage MCP tool returned an error", { tool: name, error: result.text });
+        return null;
       }
-      // Fallback to Bun.spawn if $ not available
-      if (typeof Bun !== "undefined") {
-        const proc = Bun.spawn([CONFIG.sageBin, ...args], {
-          env: { ...process.env, ...sageEnv },
-          stdout: "pipe",
-          stderr: "pipe",
-        });
-        const stdout = await new Response(proc.stdout).text();
-        return stdout.trim();
+      return result;
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      await log("debug", "sage MCP call failed, falling back to CLI", {
+        tool: name,
+        error: String(e),
+      });
+      return null;
+    }
+  };
+
+  let binaryMissingReported = false;
+
+  // Log a failed command with its structured details. A missing binary is reported once
+  // as an error (it affects every call); bad arguments are always at least a warning.
+  const logExecFailure = async (defaultLevel, message, e, extra = {}) => {
+    const details = e instanceof SageExecError ? e.toJSON() : {};
+    let level = defaultLevel;
+    if (e?.kind === SageFailure.BINARY_MISSING) {
+      if (!binaryMissingReported) {
+        binaryMissingReported = true;
+        await log(
+          "error",
+          `sage binary not found (${CONFIG.sageBin}); install sage or set SAGE_BIN`,
+          details,
+        );
       }
-      return "";
+      level = "debug";
+    } else if (e?.kind === SageFailure.BAD_ARGUMENTS) {
+      level = "warn";
+    }
+    await log(level, message, { ...extra, error: String(e), ...details });
+  };
+
+  // Bursty events share one pool so they can't spawn dozens of sage processes at once.
+  let execPool = createLimiter(CONFIG.execConcurrency);
+
+  // Interactive suggestions get a tighter deadline than background capture/feedback.
+  const timeoutFor = (args) =>
+    args[0] === "suggest" && args[1] === "skill" ? CONFIG.suggestTimeoutMs : CONFIG.execTimeoutMs;
+
+  // `signal` cancels the command (waiting in the pool or running); cancellation rejects
+  // with an AbortError, which callers should treat as "superseded", not as a failure.
+  // Every other failure rejects with a classified SageExecError.
+  const execSage = async (args, env = {}, { signal, timeoutMs = timeoutFor(args) } = {}) => {
+    if (CONFIG.dryRun) return "";
+
+    const sageEnv = { ...env, SAGE_SOURCE: "opencode" };
+    const started = Date.now();
+
+    try {
+      // The deadline wraps the pool: a command that outlives it (the `$` helper can't be
+      // killed) keeps its slot until it exits, so hung processes can't pile up.
+      return await runWithDeadline(
+        (runSignal) =>
+          execPool.run(() => transport.exec(args, sageEnv, { signal: runSignal }), {
+            signal: runSignal,
+          }),
+        { timeoutMs, signal },
+      );
     } catch (e) {
-      throw new Error(`sage command failed: ${e.message || e}`);
+      if (isAbortError(e)) throw e;
+      throw new SageExecError({
+        command: commandName(args),
+        kind: classifySageFailure(e),
+        exitCode: e?.exitCode ?? null,
+        stderr: String(e?.stderr ?? ""),
+        durationMs: Date.now() - started,
+        cause: e,
+      });
     }
   };
 
@@ -170,17 +550,20 @@ export const SagePlugin = async ({ client, $, directory }) => {
       return false;
     }
 
+    // Steering entries quote words from the user's prompt.
+    const entry = redact(feedbackEntry).text;
+
     try {
       await log("debug", "appending RLM feedback", {
         promptKey,
-        feedback: feedbackEntry,
+        feedback: entry,
       });
 
-      const result = await execSage([
+      const result = await execSageDurable([
         "suggest",
         "feedback",
         promptKey,
-        feedbackEntry,
+        entry,
         "--source",
         "opencode-plugin",
       ]);
@@ -190,143 +573,616 @@ export const SagePlugin = async ({ client, $, directory }) => {
         return true;
       }
     } catch (e) {
-      await log("warn", "failed to append RLM feedback", {
-        promptKey,
-        error: String(e),
-      });
+      await logExecFailure("warn", "failed to append RLM feedback", e, { promptKey });
     }
 
     return false;
   };
 
-  // Analyze prompt correlation with suggestion
-  const analyzePromptCorrelation = async (userPrompt) => {
-    if (!lastSuggestion || !lastSuggestionTimestamp) {
+  // Where a suggestion stands relative to the session's prompts. `turns` counts the prompts
+  // sent since it was shown, less `pending` ones (e.g. the prompt a response belongs to).
+  const suggestionAge = (state, entry, pending = 0) => ({
+    ageMs: Date.now() - entry.timestamp,
+    turns: state.turns - entry.turn - pending,
+  });
+
+  const correlationWindow = () => ({
+    windowMs: CONFIG.correlationWindowMs,
+    windowTurns: CONFIG.correlationWindowTurns,
+  });
+
+  // Analyze prompt correlation with each recent suggestion still in the window. The
+  // best-matching shown result gets the verdict and the other results of that suggestion
+  // are reported as ignored. Confidence decays with the suggestion's age (see correlation.js).
+  const analyzePromptCorrelation = async (state, userPrompt) => {
+    let match = null;
+    for (const entry of state.suggestions) {
+      if (entry.resolved) continue;
+      const age = suggestionAge(state, entry);
+      if (!inCorrelationWindow(age, correlationWindow())) continue;
+
+      // Plain-text suggestions only have the parsed primary key
+      const candidates =
+        entry.results.length > 0 ? entry.results : [{ key: entry.key, text: entry.text }];
+      if (!candidates[0].key) continue;
+
+      // Compare the prompt with each suggestion by TF-IDF similarity (see correlation.js)
+      const ranked = scorer.rank(userPrompt, candidates);
+      for (const r of ranked) entry.scores[r.key] = Math.max(entry.scores[r.key] ?? 0, r.score);
+      if (!match || ranked[0].score > match.ranked[0].score) match = { entry, ranked, age };
+    }
+    if (!match) {
       return null;
     }
 
-    const now = Date.now();
-    const timeDiff = now - lastSuggestionTimestamp;
+    const { entry, age } = match;
+    const [best, ...others] = match.ranked;
+    const type = classifyCorrelation(best.score, {
+      acceptThreshold: CONFIG.correlationAcceptThreshold,
+      steerThreshold: CONFIG.correlationSteerThreshold,
+    });
+    const weight = correlationWeight(age, { halfLifeMs: CONFIG.correlationHalfLifeMs });
+    const correlation = {
+      type,
+      suggestionId: entry.id,
+      key: best.key,
+      score: best.score,
+      confidence: best.score * weight,
+      weight,
+      turns: age.turns,
+      position: best.position,
+      ignored: others.map(({ key, score }) => ({ key, score })),
+    };
 
-    // Outside correlation window
-    if (timeDiff > SUGGESTION_CORRELATION_WINDOW_MS) {
-      return null;
+    if (type === "steered") {
+      // Steering - user modified the suggestion
+      correlation.added = best.added;
+      correlation.removed = best.removed;
+    }
+    return correlation;
+  };
+
+  // Record the verdict for a suggestion: an RLM feedback entry on the matched key and
+  // prompt-suggestion feedback events for every shown result.
+  const sendCorrelationFeedback = async (state, correlation) => {
+    let feedbackEntry = "";
+    const date = new Date().toISOString().split("T")[0];
+    const pct = (n) => (n * 100).toFixed(0);
+
+    switch (correlation.type) {
+      case "accepted":
+        feedbackEntry = `[${date}] Prompt suggestion accepted (similarity: ${pct(correlation.score)}%)`;
+        break;
+      case "steered": {
+        const added = correlation.added?.slice(0, 3).join(", ") || "none";
+        const removed = correlation.removed?.slice(0, 3).join(", ") || "none";
+        feedbackEntry = `[${date}] User steered from suggestion - Added keywords: "${added}" - Removed: "${removed}"`;
+        break;
+      }
+      case "rejected":
+        feedbackEntry = `[${date}] Prompt suggestion rejected (low similarity: ${pct(correlation.score)}%)`;
+        break;
     }
 
-    const suggestionKey = lastSuggestionPromptKey;
-    if (!suggestionKey) {
-      return null;
+    if (feedbackEntry) {
+      await appendRlmFeedback(correlation.key, feedbackEntry);
+    }
+
+    // Also record prompt-suggestion feedback to daemon (best-effort)
+    const features = { method: "tfidf", turns: correlation.turns, weight: correlation.weight };
+    await recordPromptSuggestionFeedback({
+      state,
+      suggestionId: correlation.suggestionId,
+      events: [
+        {
+          kind: correlation.type,
+          prompt_key: correlation.key,
+          confidence: correlation.confidence,
+          features_json: JSON.stringify({
+            similarity: correlation.score,
+            position: correlation.position,
+            ...features,
+          }),
+        },
+        // Shown but not the one the user went with: a negative signal whose confidence
+        // is how clearly it was ignored.
+        ...correlation.ignored.map(({ key, score }) => ({
+          kind: "rejected",
+          prompt_key: key,
+          confidence: (1 - score) * correlation.weight,
+          features_json: JSON.stringify({
+            similarity: score,
+            ignored: true,
+            chosen: correlation.key,
+            ...features,
+          }),
+        })),
+      ],
+    });
+  };
+
+  // Credit the newest suggestion in the window with implicit evidence of use in the
+  // assistant turn: prompt-key markers, quoted content or matching tool calls (see
+  // implicit-signals.js). Explicit evidence, so confidence doesn't decay with age.
+  // Returns the credited suggestion (`{ id, keys }`), or null when none was used.
+  const creditImplicitSignals = async (state, responseText, parts) => {
+    const toolCalls = parts
+      .filter((p) => p.type === "tool" && p.tool)
+      .map((p) => ({ tool: p.tool, input: p.state?.input ?? {} }));
+    for (const entry of [...state.suggestions].reverse()) {
+      if (entry.implicitSent) continue;
+      // The response belongs to the prompt just sent
+      const age = suggestionAge(state, entry, 1);
+      if (!inCorrelationWindow(age, correlationWindow())) continue;
+      const signals = detectImplicitSignals({
+        responseText,
+        toolCalls,
+        results: entry.results,
+        shownKeys: entry.shownKeys,
+        quoteThreshold: CONFIG.implicitQuoteThreshold,
+      });
+      if (signals.length === 0) continue;
+
+      await recordPromptSuggestionFeedback({
+        state,
+        suggestionId: entry.id,
+        events: signals.map(({ key, confidence, features }) => ({
+          kind: "implicitly_helpful",
+          prompt_key: key,
+          confidence,
+          features_json: JSON.stringify({ ...features, turns: age.turns }),
+        })),
+      });
+      await log("debug", "implicit suggestion use detected", {
+        sessionId: state.id,
+        suggestionId: entry.id,
+        signals,
+      });
+      entry.implicitSent = true;
+      // A suggestion the assistant used isn't reported as rejected later.
+      entry.resolved = true;
+      return { id: entry.id, keys: signals.map((s) => s.key) };
     }
+    return null;
+  };
 
-    // Check if user prompt matches or differs from suggestion
-    const userPromptLower = userPrompt.toLowerCase().trim();
-    const suggestionLower = lastSuggestion.toLowerCase().trim();
+  // Drop suggestions that left the correlation window. One that prompts were compared
+  // against but never matched is recorded as rejected, scored by its closest match.
+  const expireSuggestions = async (state, pending = 0) => {
+    const kept = [];
+    for (const entry of state.suggestions) {
+      const age = suggestionAge(state, entry, pending);
+      if (inCorrelationWindow(age, correlationWindow())) {
+        kept.push(entry);
+        continue;
+      }
+      const scored = Object.entries(entry.scores).sort((a, b) => b[1] - a[1]);
+      if (entry.resolved || scored.length === 0 || !CONFIG.enableRlmFeedback) continue;
 
-    // Extract keywords from both
-    const userKeywords = userPromptLower.split(/\s+/);
-    const suggestionKeywords = suggestionLower.split(/\s+/);
+      const [[key, score], ...others] = scored;
+      const weight = correlationWeight(age, { halfLifeMs: CONFIG.correlationHalfLifeMs });
+      await sendCorrelationFeedback(state, {
+        type: "rejected",
+        suggestionId: entry.id,
+        key,
+        score,
+        // How clearly it was rejected
+        confidence: (1 - score) * weight,
+        weight,
+        turns: age.turns,
+        position: entry.shownKeys.indexOf(key),
+        ignored: others.map(([k, sc]) => ({ key: k, score: sc })),
+      });
+    }
+    state.suggestions = kept;
+  };
 
-    // Check for significant overlap
-    const overlap = userKeywords.filter((k) => suggestionKeywords.includes(k));
-    const overlapRatio = overlap.length / Math.max(userKeywords.length, suggestionKeywords.length);
+  // Capture the response to a captured prompt once its turn is over: the parts of every
+  // assistant message in the turn (tool-call steps included), with their summed usage.
+  const finishTurn = async (state) => {
+    const infos = state.turnMessages;
+    const info = infos.at(-1);
+    const parts = infos.flatMap((m) => state.parts.take(m.id));
+    const responseText = partsText(parts);
+    // A finished turn that only ran tools is still worth capturing
+    const toolOnly = info.time?.completed != null && parts.length > 0;
+    if (responseText.trim() || toolOnly) {
+      // Record implicitly_helpful when the turn shows a suggestion was used.
+      const implicit = CONFIG.enableRlmFeedback
+        ? await creditImplicitSignals(state, responseText, parts)
+        : null;
+      // The prompt's suggestion, plus the one the response was found to use
+      const link =
+        state.suggestionLink || implicit
+          ? {
+              ...(state.suggestionLink ?? { id: implicit.id, verdict: null }),
+              ...(implicit ? { implicit } : {}),
+            }
+          : null;
 
-    // Determine correlation type
-    if (overlapRatio > 0.7) {
-      return { type: "accepted", key: suggestionKey, overlap: overlapRatio };
+      const redacted = redact(responseText);
+      if (redacted.count > 0) {
+        await log("debug", "redacted response before capture", {
+          count: redacted.count,
+          types: redacted.types,
+        });
+      }
+
+      const payload = capturePayload("assistant", parts);
+      const usage = turnUsage(state, infos);
+
+      try {
+        await execSageDurable(["capture", "hook", "response"], {
+          SAGE_SESSION_ID: info.sessionID ?? currentSessionId ?? "",
+          SAGE_MODEL: info.modelID ?? state.model ?? "",
+          SAGE_PROVIDER: info.providerID ?? state.providerID ?? "",
+          ...lineageEnv(state),
+          TOKENS_INPUT: envNumber(usage.tokens.input),
+          TOKENS_OUTPUT: envNumber(usage.tokens.output),
+          TOKENS_REASONING: envNumber(usage.tokens.reasoning),
+          TOKENS_CACHE_READ: envNumber(usage.tokens.cacheRead),
+          TOKENS_CACHE_WRITE: envNumber(usage.tokens.cacheWrite),
+          COST_USD: envNumber(usage.cost),
+          LATENCY_MS: envNumber(usage.latencyMs),
+          TIME_TO_FIRST_PART_MS: envNumber(usage.timeToFirstPartMs),
+          ...suggestionEnv(link),
+          // Pass the actual response content for capture completion
+          SAGE_RESPONSE: redacted.text,
+          SAGE_ATTRIBUTES_JSON: JSON.stringify({
+            usage,
+            ...(link ? { suggestion: link } : {}),
+            ...redactionAttributes(redacted, ...payloadRedactions(payload)),
+          }),
+          ...payloadEnv(payload),
+        });
+      } catch (e) {
+        await logExecFailure("warn", "capture response failed", e);
+      }
     }
-    if (overlapRatio > 0.3) {
-      // Steering - user modified the suggestion
-      const addedKeywords = userKeywords.filter((k) => !suggestionKeywords.includes(k));
-      const removedKeywords = suggestionKeywords.filter((k) => !userKeywords.includes(k));
+    state.promptCaptured = false;
+    state.suggestionLink = null;
+    state.turnMessages = [];
+    state.parts.clear();
+
+    // Drop suggestions whose time window ran out during the completion.
+    await expireSuggestions(state, 1);
+  };
+
+  // Verdicts sent for `/sage` commands (see feedback-commands.js); unhide/unpin send none.
+  const COMMAND_EVENT_KINDS = {
+    good: "explicitly_helpful",
+    pin: "explicitly_helpful",
+    bad: "explicitly_unhelpful",
+    hide: "explicitly_unhelpful",
+  };
+
+  // Newest suggestion in `state` that showed `key` (or, without a key, the newest one with a
+  // primary key), with the key as shown.
+  const findShownSuggestion = (state, key) => {
+    for (const entry of [...state.suggestions].reverse()) {
+      if (!key) return entry.key ? { entry, key: entry.key } : null;
+      const shown = entry.shownKeys.find((k) => keyMatches(key, k));
+      if (shown) return { entry, key: shown };
+    }
+    return null;
+  };
+
+  // Apply a `/sage good|bad|hide|unhide|pin|unpin [key]` command typed as a prompt. Hide and
+  // pin are saved locally even for keys this session never showed; the verdict is only sent
+  // for a suggestion the session did show, and replaces any inferred one.
+  const handleFeedbackCommand = async (state, { action, key }) => {
+    const target = findShownSuggestion(state, key);
+    const resolvedKey = target?.key ?? key;
+    if (!resolvedKey) {
+      await log("warn", "sage feedback command has no suggestion to apply to", {
+        sessionId: state.id,
+        action,
+      });
+      return;
+    }
+
+    if (action !== "good" && action !== "bad") {
+      try {
+        await prefs[action](resolvedKey);
+      } catch (e) {
+        await log("warn", "failed to save sage suggestion preferences", {
+          path: prefs.path,
+          error: String(e),
+        });
+      }
+    }
+
+    let feedbackSent = false;
+    const kind = COMMAND_EVENT_KINDS[action];
+    if (kind && target && CONFIG.enableRlmFeedback) {
+      const decision = await checkCapture(state, "");
+      if (decision.capture) {
+        feedbackSent = await recordPromptSuggestionFeedback({
+          state,
+          suggestionId: target.entry.id,
+          events: [
+            {
+              kind,
+              prompt_key: target.key,
+              confidence: 1.0,
+              features_json: JSON.stringify({ command: action, explicit: true }),
+            },
+          ],
+        });
+        target.entry.resolved = true;
+      }
+    }
+
+    await log("info", "sage feedback command", {
+      sessionId: state.id,
+      action,
+      key: resolvedKey,
+      suggestionId: target?.entry.id ?? null,
+      feedbackSent,
+    });
+  };
 
-      return {
-        type: "steered",
-        key: suggestionKey,
-        overlap: overlapRatio,
-        added: addedKeywords,
-        removed: removedKeywords,
-      };
+  // Suggest results may omit prompt bodies; fetch them through the MCP `get_prompt` tool.
+  const fillPromptContent = async (results) => {
+    for (const r of results) {
+      if (r.content || !r.key) continue;
+      const fetched = await callMcpTool("get_prompt", {
+        key: r.key,
+        ...(r.library ? { library: r.library } : {}),
+      });
+      if (fetched?.json?.found && fetched.json.prompt?.content) {
+        r.content = fetched.json.prompt.content;
+      }
+    }
+  };
+
+  // Evaluate the capture policy for a turn in `state`'s session; every decision is logged
+  // at debug level so opt-outs can be audited.
+  const checkCapture = async (state, text) => {
+    const decision = policy.evaluate({
+      directory,
+      agent: state.agent,
+      model: state.model,
+      providerID: state.providerID,
+      text,
+    });
+    await log("debug", "capture policy decision", { sessionId: state.id, ...decision });
+    return decision;
+  };
+
+  const cancelSuggest = () => {
+    if (timer) clearTimeout(timer);
+    if (previewTimer) clearTimeout(previewTimer);
+    timer = null;
+    previewTimer = null;
+    runId += 1;
+    suggestAbort?.abort("superseded");
+    suggestAbort = null;
+  };
+
+  // Raw suggest output for `queryText`: from the cache, from the results of a query this
+  // one extends (incremental mode), or from sage. Concurrent requests for the same query
+  // share one sage call.
+  const fetchSuggestOutput = async (queryText, signal) => {
+    const cacheKey = suggestCacheKey({
+      prompt: queryText,
+      directory,
+      limit: CONFIG.suggestLimit,
+      provision: CONFIG.provision,
+    });
+    const cached = suggestCache?.get(cacheKey);
+    if (suggestCache) {
+      const hit = cached !== undefined;
+      await log("debug", `sage suggest cache ${hit ? "hit" : "miss"}`, suggestCache.stats());
+    }
+    if (cached !== undefined) return cached;
+
+    const scope = `${directory}|${CONFIG.suggestLimit}|${CONFIG.provision}`;
+    if (CONFIG.suggestIncremental) {
+      const reused = prefixReuse.lookup(scope, queryText);
+      if (reused !== undefined) {
+        await log("debug", "sage suggest reused results for extended prompt", {
+          prompt_len: queryText.length,
+        });
+        return reused;
+      }
+    }
+    // Only runs for the same input share a call; an aborted one can't serve a newer run.
+    if (suggestInFlight?.key === cacheKey && suggestInFlight.signal === signal) {
+      return suggestInFlight.promise;
+    }
+
+    const args = [
+      "suggest",
+      "skill",
+      queryText,
+      "--format",
+      "json",
+      "--limit",
+      CONFIG.suggestLimit.toString(),
+    ];
+    if (CONFIG.provision) args.push("--provision");
+
+    const promise = (async () => {
+      const viaMcp = await callMcpTool(
+        CONFIG.mcpSuggestTool,
+        { query: queryText, limit: CONFIG.suggestLimit, provision: CONFIG.provision },
+        { signal, timeoutMs: CONFIG.suggestTimeoutMs },
+      );
+      const output = viaMcp ? viaMcp.text.trim() : await execSage(args, {}, { signal });
+      if (output) {
+        suggestCache?.set(cacheKey, output);
+        prefixReuse.remember(scope, queryText, output);
+      }
+      return output;
+    })();
+    suggestInFlight = { key: cacheKey, signal, promise };
+    try {
+      return await promise;
+    } finally {
+      if (suggestInFlight?.promise === promise) suggestInFlight = null;
+    }
+  };
+
+  // Results worth showing from suggest JSON output: hidden keys removed, pinned ones
+  // first, weak matches dropped. Throws when the output isn't JSON.
+  const selectResults = async (output) => {
+    const json = JSON.parse(output);
+    const ranked = Array.isArray(json.results) ? prefs.apply(json.results) : [];
+    const { kept, dropped } = filterRelevant(ranked, { minScore: CONFIG.suggestMinScore });
+    if (dropped.length > 0) {
+      await log("debug", "dropped low-relevance suggestions", {
+        minScore: CONFIG.suggestMinScore,
+        dropped: dropped.map((r) => ({ key: r.key, score: resultScore(r) })),
+        kept: kept.length,
+      });
+    }
+    return kept;
+  };
+
+  // Whether a suggest run for `prompt` (scheduled as `current`) should go ahead.
+  const shouldSuggest = async (prompt, current, sessionId) => {
+    if (!prompt) return false;
+    if (current !== runId) return false;
+    if (prompt === lastInjected) return false;
+    if (!CONFIG.enableSuggestions) return false;
+    if (!CONFIG.suggestInSubagents && sessions.peek(sessionId)?.parentId) {
+      await log("debug", "sage suggest skipped: subagent session", { sessionId });
+      return false;
+    }
+    if (parseFeedbackCommand(prompt)) return false;
+    if (hasNoCaptureMarker(prompt)) {
+      await log("debug", "sage suggest skipped: nocapture marker", { sessionId });
+      return false;
+    }
+    return true;
+  };
+
+  // Incremental mode: fetch early and show how many skills match before the full render
+  // (unless suggestions aren't displayed). The full run then finds the output cached or in
+  // flight.
+  const previewSuggest = async (current, sessionId, signal) => {
+    const prompt = lastInput.trim();
+    if (!(await shouldSuggest(prompt, current, sessionId))) return;
+    try {
+      const output = await fetchSuggestOutput(redact(prompt).text, signal);
+      if (!output || current !== runId) return;
+      const count = (await selectResults(output)).length;
+      if (count === 0 || CONFIG.suggestDisplay === "none") return;
+      await log("debug", "sage suggest preview", { sessionId, count });
+      await client.tui.showToast?.({
+        body: {
+          message: `${count} ${count === 1 ? "skill matches" : "skills match"}`,
+          variant: "info",
+        },
+      });
+    } catch (e) {
+      // Non-JSON output has no count to preview; the full run handles it.
+      if (isAbortError(e) || e instanceof SyntaxError) return;
+      await logExecFailure("debug", "sage suggest preview failed", e);
     }
-    return { type: "rejected", key: suggestionKey, overlap: overlapRatio };
   };
 
   const scheduleSuggest = (text) => {
     lastInput = text;
     runId += 1;
     const current = runId;
+    // Suggestions belong to the session the user was typing into when they were requested.
+    const sessionId = currentSessionId;
 
     if (timer) clearTimeout(timer);
+    if (previewTimer) clearTimeout(previewTimer);
+    previewTimer = null;
+    // New input supersedes any suggest run still in flight; the preview and the full run
+    // for this input share one controller.
+    suggestAbort?.abort("superseded");
+    const controller = new AbortController();
+    suggestAbort = controller;
+    const { signal } = controller;
+
+    if (CONFIG.suggestIncremental && CONFIG.suggestPreviewMs < CONFIG.debounceMs) {
+      previewTimer = setTimeout(() => {
+        previewTimer = null;
+        void previewSuggest(current, sessionId, signal);
+      }, CONFIG.suggestPreviewMs);
+    }
 
     timer = setTimeout(() => {
       void (async () => {
         const prompt = lastInput.trim();
-        if (!prompt) return;
-        if (current !== runId) return;
-        if (prompt === lastInjected) return;
+        if (!(await shouldSuggest(prompt, current, sessionId))) return;
 
         await log("debug", "running sage suggest", {
           cwd: directory,
           prompt_len: prompt.length,
         });
 
+        const query = redact(prompt);
+
         try {
-          const args = [
-            "suggest",
-            "skill",
-            prompt,
-            "--format",
-            "json",
-            "--limit",
-            CONFIG.suggestLimit.toString(),
-          ];
-          if (CONFIG.provision) args.push("--provision");
-
-          const output = await execSage(args);
+          const output = await fetchSuggestOutput(query.text, signal);
+          if (signal.aborted) return;
           if (!output) return;
           if (current !== runId) return;
 
           let renderedOutput = "";
+          let toastText = "";
           let correlationText = "";
           let primaryKey = null;
           let shownKeys = [];
+          let shownResults = [];
+          const shownScores = {}; // qualified key -> relevance score reported by sage
 
           try {
-            const json = JSON.parse(output);
-            if (json.results && Array.isArray(json.results) && json.results.length > 0) {
+            // If no result is left after filtering, nothing is injected
+            const results = await selectResults(output);
+            if (results.length > 0) {
+              if (mcp) await fillPromptContent(results);
+
               // Extract qualified keys for capture/correlation
-              shownKeys = json.results
+              shownKeys = results
                 .map((r) => (r.library ? `${r.library}/${r.key}` : r.key))
                 .filter(Boolean);
               primaryKey = shownKeys[0] || null;
+              for (const r of results) {
+                const score = resultScore(r);
+                if (score != null && r.key) {
+                  shownScores[r.library ? `${r.library}/${r.key}` : r.key] = score;
+                }
+              }
 
-              // Build correlation text from all results (titles/descriptions/keys)
-              // We exclude full content to keep overlap ratio meaningful
-              correlationText = json.results
-                .map((r) => `${r.name} ${r.description || ""} ${r.key}`)
-                .join(" ");
-
-              // Render output
-              renderedOutput = json.results
-                .map((r) => {
-                  const qualifiedKey = r.library ? `${r.library}/${r.key}` : r.key;
-                  let block = `### ${r.name} (key: ${qualifiedKey})\n`;
-                  if (r.library) block += `*Library: ${r.library}*\n`;
-                  if (r.description) block += `${r.description}\n`;
-                  if (r.content) block += `\n\`\`\`\n${r.content}\n\`\`\`\n`;
-                  block += `\n<!-- If you use this suggestion, include marker: [[sage:prompt_key=${qualifiedKey}]] -->\n`;
-                  return block;
-                })
-                .join("\n---\n\n");
+              // Correlation text per result (title/description/key); full content is
+              // excluded so long prompt bodies don't dominate the similarity
+              shownResults = results
+                .filter((r) => r.key)
+                .map((r) => ({
+                  key: r.library ? `${r.library}/${r.key}` : r.key,
+                  text: `${r.name} ${r.description || ""} ${r.key}`,
+                  // For implicit signals: quoted content and the tools the skill uses
+                  content: r.content ? r.content.slice(0, MAX_QUOTE_CONTENT_CHARS) : null,
+                  tools: Array.isArray(r.tools) ? r.tools : [],
+                }));
+              correlationText = shownResults.map((r) => r.text).join(" ");
+
+              renderedOutput = renderSuggestions(results, {
+                mode: CONFIG.suggestRender,
+                maxContentChars: CONFIG.suggestContentMaxChars,
+                template: CONFIG.suggestTemplate,
+              });
+              // Toasts don't render markdown and the model never sees them
+              toastText = renderSuggestions(results, { mode: "plain", hint: false });
             }
           } catch (e) {
             // Fallback: If JSON parse fails, assume it might be plain text or broken JSON.
             // We treat the raw output as the suggestion.
             renderedOutput = output;
+            toastText = output;
             primaryKey = parseSuggestionKey(output);
             correlationText = output;
           }
 
           if (!renderedOutput) return;
+          if (current !== runId) return;
 
           const suggestionId =
             typeof crypto !== "undefined" && crypto.randomUUID
@@ -334,118 +1190,249 @@ export const SagePlugin = async ({ client, $, directory }) => {
               : `sage-suggest-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 
           // Store suggestion for correlation tracking
-          lastSuggestion = correlationText;
-          lastSuggestionTimestamp = Date.now();
-          lastSuggestionPromptKey = primaryKey;
-          lastSuggestionId = suggestionId;
-          lastShownPromptKeys = shownKeys;
-          lastAcceptedFeedbackSent = false;
-          lastImplicitFeedbackSent = false;
-
-          // Capture the suggestion to daemon (best-effort)
-          await recordPromptSuggestion({
-            suggestionId,
-            prompt,
-            shownPromptKeys: shownKeys,
-            source: "opencode",
-            attributesJson: JSON.stringify({
-              opencode: {
-                sessionId: currentSessionId,
-                model: currentModel,
-                workspace: directory,
-              },
-            }),
+          const state = sessionFor(sessionId);
+          const entry = recordSuggestion(state, {
+            id: suggestionId,
+            timestamp: Date.now(),
+            key: primaryKey,
+            text: correlationText,
+            results: shownResults,
+            shownKeys,
           });
+          for (const r of shownResults.length > 0 ? shownResults : [{ text: correlationText }]) {
+            scorer.observe(r.text);
+          }
+
+          // Capture the suggestion to daemon (best-effort), unless policy excludes this turn
+          const decision = await checkCapture(state, prompt);
+          if (decision.capture) {
+            await recordPromptSuggestion({
+              suggestionId,
+              prompt: query.text,
+              shownPromptKeys: shownKeys,
+              source: "opencode",
+              attributesJson: JSON.stringify({
+                opencode: {
+                  sessionId,
+                  ...lineage(state),
+                  model: state.model,
+                  workspace: directory,
+                },
+                ...(Object.keys(shownScores).length > 0
+                  ? { scores: shownScores, minScore: CONFIG.suggestMinScore }
+                  : {}),
+                ...redactionAttributes(query),
+              }),
+            });
+          }
 
           await log("debug", "suggestion stored for correlation", {
-            key: lastSuggestionPromptKey,
-            timestamp: lastSuggestionTimestamp,
+            sessionId: state.id,
+            key: entry.key,
+            timestamp: entry.timestamp,
+            history: state.suggestions.length,
           });
 
           lastInjected = prompt;
-          await client.tui.appendPrompt({
-            body: { text: `\n\n${renderedOutput}\n` },
+          // Remembered up front: a note echoes back through chat.message before
+          // session.prompt returns. A block only shown as a toast is never typed, so
+          // remembering it too is harmless.
+          injected.remember(renderedOutput);
+          const channel = await displaySuggestion(client, {
+            channel: CONFIG.suggestDisplay,
+            text: renderedOutput,
+            toastText,
+            sessionId,
           });
+          if (channel !== CONFIG.suggestDisplay) {
+            await log("debug", "sage suggestion display fell back", {
+              requested: CONFIG.suggestDisplay,
+              used: channel,
+            });
+          }
         } catch (e) {
-          await log("warn", "sage suggest failed", { error: String(e) });
+          if (isAbortError(e)) {
+            await log("debug", "sage suggest superseded", { prompt_len: prompt.length });
+            return;
+          }
+          await logExecFailure("warn", "sage suggest failed", e);
+        } finally {
+          if (suggestAbort === controller) suggestAbort = null;
         }
       })();
     }, CONFIG.debounceMs);
   };
 
+  // Re-read the config files and apply what changed. Settings read once at startup
+  // (`restart` in CONFIG_SCHEMA) keep their current value until OpenCode restarts.
+  const reloadConfig = async () => {
+    const { config: next, sources, warnings } = loadConfig({ directory, options });
+    for (const warning of warnings) {
+      await log("warn", "invalid sage plugin config", warning);
+    }
+
+    const applied = [];
+    for (const change of diffConfig(CONFIG, next)) {
+      if (CONFIG_SCHEMA[change.key].restart) {
+        await log("warn", "sage plugin config change needs a restart", change);
+        continue;
+      }
+      CONFIG[change.key] = change.to;
+      applied.push(change.key);
+      await log("info", "sage plugin config changed", { ...change, source: sources[change.key] });
+    }
+
+    const changed = (...keys) => keys.some((k) => applied.includes(k));
+    if (changed("transport", "sageBin", "socketPath", "socketTimeoutMs")) {
+      transport.close?.();
+      transport = buildTransport();
+    }
+    // Commands already running finish on the old pool.
+    if (changed("execConcurrency")) execPool = createLimiter(CONFIG.execConcurrency);
+    if (changed("mcpSession", "sageBin", "dryRun")) {
+      mcp?.close();
+      mcp = buildMcp();
+    }
+    if (changed("redact", "redactPatterns", "redactHighEntropy")) redactor = buildRedactor();
+    // A different sage may answer differently, so cached output goes too.
+    if (
+      changed(
+        "suggestCacheTtlMs",
+        "suggestCacheSize",
+        "sageBin",
+        "transport",
+        "mcpSession",
+        "mcpSuggestTool",
+      )
+    ) {
+      suggestCache = buildSuggestCache();
+      prefixReuse.clear();
+    }
+    if (changed("suggestReuseMaxWords")) prefixReuse = buildPrefixReuse();
+    if (applied.some((key) => key.startsWith("capture"))) {
+      policy = buildPolicy();
+    }
+    if (changed("enableSuggestions") && !CONFIG.enableSuggestions) cancelSuggest();
+    if (changed("sageBin")) binaryMissingReported = false;
+    return applied;
+  };
+
+  const configWatcher =
+    CONFIG.configWatchMs > 0
+      ? watchConfig({
+          directory,
+          intervalMs: CONFIG.configWatchMs,
+          onChange: () => reloadConfig(),
+        })
+      : null;
+
+  // Stop everything that outlives a turn when OpenCode disposes the plugin's instance.
+  const dispose = () => {
+    configWatcher?.close();
+    cancelSuggest();
+    if (replayTimer) clearTimeout(replayTimer);
+    replayTimer = null;
+    mcp?.close();
+    transport.close?.();
+  };
+
   return {
     // Structured hook: reliable way to capture user prompts with model/session info
     "chat.message": async (input, output) => {
       // input: { sessionID, agent, model: {providerID, modelID}, messageID }
       // output: { message: UserMessage, parts: Part[] }
-      currentSessionId = input?.sessionID ?? currentSessionId;
-      currentModel = input?.model?.modelID ?? currentModel;
+      const state = sessionFor(input?.sessionID);
+      state.model = input?.model?.modelID ?? state.model;
+      state.providerID = input?.model?.providerID ?? state.providerID;
+      state.agent = input?.agent ?? state.agent;
+      // Subagent prompts (from the task tool) come through here as well; they never take
+      // over the session the user is typing into.
+      if (input?.sessionID && !state.parentId) currentSessionId = input.sessionID;
 
       const textParts = (output?.parts ?? []).filter((p) => p.type === "text");
-      const content = textParts.map((p) => p.text ?? "").join("\n");
+      // Suggestion text the plugin injected isn't the user's prompt (a note is nothing else)
+      const { text: content, stripped } = injected.strip(
+        textParts.map((p) => p.text ?? "").join("\n"),
+      );
+      if (stripped > 0) await log("debug", "removed injected suggestion text", { stripped });
       if (!content.trim()) return;
 
-      promptCaptured = true;
-      assistantParts = [];
-
-      // Analyze correlation with previous suggestion
-      const correlation = await analyzePromptCorrelation(content);
-      if (correlation) {
-        await log("debug", "prompt correlation detected", correlation);
+      const command = parseFeedbackCommand(content);
+      if (command) {
+        // Commands talk to the plugin, so they're neither captured nor correlated.
+        state.promptCaptured = false;
+        await handleFeedbackCommand(state, command);
+        return;
+      }
 
-        let feedbackEntry = "";
-        const date = new Date().toISOString().split("T")[0];
-
-        switch (correlation.type) {
-          case "accepted":
-            feedbackEntry = `[${date}] Prompt suggestion accepted (overlap: ${(correlation.overlap * 100).toFixed(0)}%)`;
-            break;
-          case "steered": {
-            const added = correlation.added?.slice(0, 3).join(", ") || "none";
-            const removed = correlation.removed?.slice(0, 3).join(", ") || "none";
-            feedbackEntry = `[${date}] User steered from suggestion - Added keywords: "${added}" - Removed: "${removed}"`;
-            break;
-          }
-          case "rejected":
-            feedbackEntry = `[${date}] Prompt suggestion rejected (low overlap: ${(correlation.overlap * 100).toFixed(0)}%)`;
-            break;
-        }
+      state.parts.clear();
+      state.turnMessages = [];
+      const decision = await checkCapture(state, content);
+      if (!decision.capture) {
+        // Nothing from this turn is recorded: no prompt, response or feedback.
+        state.promptCaptured = false;
+        return;
+      }
+      state.promptCaptured = true;
+      // Latency is measured from here to the completed assistant message
+      state.promptAt = Date.now();
+      state.promptMessageId = input?.messageID ?? null;
+      state.firstPartAt = null;
 
-        if (feedbackEntry) {
-          await appendRlmFeedback(correlation.key, feedbackEntry);
-        }
+      const redacted = redact(content);
+      if (redacted.count > 0) {
+        await log("debug", "redacted prompt before capture", {
+          count: redacted.count,
+          types: redacted.types,
+        });
+      }
 
-        // Also record prompt-suggestion feedback to daemon (best-effort)
-        if (lastSuggestionId && !lastAcceptedFeedbackSent) {
-          await recordPromptSuggestionFeedback({
-            suggestionId: lastSuggestionId,
-            events: [
-              {
-                kind: correlation.type,
-                prompt_key: correlation.key,
-                confidence: correlation.overlap,
-                features_json: JSON.stringify({ overlap: correlation.overlap }),
-              },
-            ],
-          });
-          lastAcceptedFeedbackSent = true;
+      // Analyze correlation with recent suggestions. Accepted/steered verdicts are recorded
+      // right away; a suggestion no prompt matched is recorded as rejected once it leaves
+      // the window, so a later prompt can still claim it. The redacted prompt is used, as
+      // steering keywords end up in RLM feedback.
+      const correlation = CONFIG.enableRlmFeedback
+        ? await analyzePromptCorrelation(state, redacted.text)
+        : null;
+      state.suggestionLink = suggestionLink(correlation);
+      state.turns += 1;
+      scorer.observe(redacted.text);
+      if (correlation) {
+        await log("debug", "prompt correlation detected", correlation);
+        if (correlation.type !== "rejected") {
+          await sendCorrelationFeedback(state, correlation);
+          const entry = state.suggestions.find((e) => e.id === correlation.suggestionId);
+          if (entry) entry.resolved = true;
         }
-
-        // Keep suggestion state for implicit marker detection on assistant completion.
+        // Suggestions stay in the history for implicit marker detection on assistant completion.
       }
+      await expireSuggestions(state);
+
+      // Attachments and any other non-text parts; the text is PROMPT
+      const payload = capturePayload(
+        "user",
+        (output?.parts ?? []).filter((p) => p.type !== "text"),
+      );
 
       try {
-        await execSage(["capture", "hook", "prompt"], {
+        await execSageDurable(["capture", "hook", "prompt"], {
           // Capture hook expects the prompt via stdin JSON (Claude Code) or env vars.
           // OpenCode plugin uses env vars.
-          PROMPT: content,
-          SAGE_SESSION_ID: currentSessionId ?? "",
-          SAGE_MODEL: currentModel ?? "",
+          PROMPT: redacted.text,
+          SAGE_SESSION_ID: input?.sessionID ?? currentSessionId ?? "",
+          SAGE_MODEL: state.model ?? "",
           SAGE_WORKSPACE: directory ?? "",
+          ...lineageEnv(state),
+          ...suggestionEnv(state.suggestionLink),
+          SAGE_ATTRIBUTES_JSON: JSON.stringify({
+            ...(state.suggestionLink ? { suggestion: state.suggestionLink } : {}),
+            ...redactionAttributes(redacted, ...payloadRedactions(payload)),
+          }),
+          ...payloadEnv(payload),
         });
       } catch (e) {
-        await log("warn", "capture prompt failed", { error: String(e) });
-        promptCaptured = false;
+        await logExecFailure("warn", "capture prompt failed", e);
+        state.promptCaptured = false;
       }
     },
 
@@ -455,77 +1442,38 @@ export const SagePlugin = async ({ client, $, directory }) => {
       switch (eventType) {
         case "message.part.updated": {
           // OpenCode schema: { part: { id, sessionID, messageID, type, text }, delta? }
+          // Tool parts: { id, callID, type: "tool", tool, state: { status, input, ... } }
           const part = properties?.part;
-          if (part?.type === "text" && promptCaptured) {
-            // Accumulate assistant text parts during streaming
-            assistantParts.push(part.text ?? "");
+          const state = sessions.peek(part?.sessionID ?? currentSessionId);
+          if (!state?.promptCaptured || !part) break;
+          // Parts are re-sent as they stream; the assembler keeps one version of each
+          state.parts.update(part, properties.delta);
+          // The prompt's own parts echo back too; they don't start the response
+          if (state.firstPartAt == null && part.messageID !== state.promptMessageId) {
+            state.firstPartAt = Date.now();
           }
           break;
         }
 
         case "message.updated": {
-          // OpenCode schema: { info: { id, sessionID, role, modelID, providerID, cost, tokens: {input, output, reasoning, cache} } }
+          // OpenCode schema: { info: { id, sessionID, role, modelID, providerID, cost, finish, time: {created, completed},
+          //   tokens: {input, output, reasoning, cache: {read, write}} } }
           const info = properties?.info;
-          if (info?.role === "assistant" && promptCaptured) {
-            const responseText = assistantParts.join("");
-            if (responseText.trim()) {
-              // If assistant explicitly marks one suggested prompt key as used, record implicitly_helpful.
-              if (
-                lastSuggestionId &&
-                lastSuggestionTimestamp &&
-                !lastImplicitFeedbackSent &&
-                Date.now() - lastSuggestionTimestamp <= SUGGESTION_CORRELATION_WINDOW_MS
-              ) {
-                const marked = parsePromptKeyMarkers(responseText);
-                const allowed = new Set(lastShownPromptKeys || []);
-                const matched = marked.filter((k) => allowed.has(k));
-                if (matched.length === 1) {
-                  await recordPromptSuggestionFeedback({
-                    suggestionId: lastSuggestionId,
-                    events: [
-                      {
-                        kind: "implicitly_helpful",
-                        prompt_key: matched[0],
-                        confidence: 1.0,
-                        features_json: JSON.stringify({ marker: true }),
-                      },
-                    ],
-                  });
-                  lastImplicitFeedbackSent = true;
-                }
-              }
-
-              try {
-                await execSage(["capture", "hook", "response"], {
-                  SAGE_SESSION_ID: info.sessionID ?? currentSessionId ?? "",
-                  SAGE_MODEL: info.modelID ?? currentModel ?? "",
-                  TOKENS_INPUT: String(info.tokens?.input ?? ""),
-                  TOKENS_OUTPUT: String(info.tokens?.output ?? ""),
-                  // Pass the actual response content for capture completion
-                  SAGE_RESPONSE: responseText,
-                });
-              } catch (e) {
-                await log("warn", "capture response failed", {
-                  error: String(e),
-                });
-              }
-            }
-            promptCaptured = false;
-            assistantParts = [];
-
-            // Clear suggestion tracking once we've had a full assistant completion after it.
-            if (
-              lastSuggestionTimestamp &&
-              Date.now() - lastSuggestionTimestamp > SUGGESTION_CORRELATION_WINDOW_MS
-            ) {
-              lastSuggestion = null;
-              lastSuggestionTimestamp = null;
-              lastSuggestionPromptKey = null;
-              lastSuggestionId = null;
-              lastShownPromptKeys = [];
-              lastAcceptedFeedbackSent = false;
-              lastImplicitFeedbackSent = false;
-            }
+          if (info?.role !== "assistant") break;
+          const state = sessions.peek(info.sessionID ?? currentSessionId);
+          // Updates while the message is still streaming carry time.created only; wait
+          // for the one that completes it (or reports an error).
+          const finished = !info.time || info.time.completed != null || info.error != null;
+          if (state && finished) {
+            // Subagent sessions name their agent on the message (`mode` in older schemas)
+            state.agent = info.agent ?? info.mode ?? state.agent;
+            countUsage(state, info);
+          }
+          if (state?.promptCaptured && finished) {
+            // Replace earlier updates of the same message
+            state.turnMessages = [...state.turnMessages.filter((m) => m.id !== info.id), info];
+            // A step that ended in tool calls is followed by another message in the same turn
+            if (info.finish !== "tool-calls" || info.error != null) await finishTurn(state);
           }
           break;
         }
@@ -533,20 +1481,60 @@ export const SagePlugin = async ({ client, $, directory }) => {
         case "session.created": {
           // OpenCode schema: { info: { id, parentID, directory, title, ... } }
           const info = properties?.info;
-          currentSessionId = info?.id ?? null;
-          promptCaptured = false;
-          assistantParts = [];
+          const isSubagent = info?.parentID != null;
+          // Subagent sessions get their own state but never become the active session.
+          if (!isSubagent) currentSessionId = info?.id ?? null;
+          const state = sessions.reset(info?.id ?? currentSessionId);
+          if (isSubagent) {
+            state.parentId = info.parentID;
+            sessions.peek(info.parentID)?.children.add(state.id);
+          }
           await log("info", "session created", {
-            sessionId: currentSessionId ?? "unknown",
-            isSubagent: info?.parentID != null,
+            sessionId: info?.id ?? "unknown",
+            isSubagent,
+            parentSessionId: info?.parentID ?? null,
             cwd: directory,
           });
+          if (mcp && !isSubagent) {
+            const stats = await callMcpTool("rlm_stats", {});
+            if (stats?.json) await log("debug", "sage RLM stats", stats.json);
+          }
+          break;
+        }
+
+        case "session.idle": {
+          // OpenCode schema: { sessionID }. Subagent totals show up in their parent's summary.
+          const state = properties?.sessionID ? sessions.peek(properties.sessionID) : null;
+          // A turn whose last message was cut off after its tool calls ends here
+          if (state?.promptCaptured && state.turnMessages.length > 0) await finishTurn(state);
+          if (state && !state.parentId) await log("info", "session summary", sessionSummary(state));
+          break;
+        }
+
+        case "server.instance.disposed": {
+          dispose();
+          break;
+        }
+
+        case "tui.session.select": {
+          // OpenCode schema: { sessionID }. The user opened a session, subagents included.
+          if (properties?.sessionID) currentSessionId = properties.sessionID;
+          break;
+        }
+
+        case "session.deleted": {
+          // OpenCode schema: { info: { id, ... } }
+          const sessionId = properties?.info?.id;
+          if (sessionId) {
+            sessions.delete(sessionId);
+            if (sessionId === currentSessionId) currentSessionId = null;
+          }
           break;
         }
 
         case "tui.prompt.append": {
           const text = properties?.text ?? "";
-          if (text.trim()) {
+          if (text.trim() && CONFIG.enableSuggestions) {
             scheduleSuggest(text);
           }
           break;
@@ -0,0 +1,305 @@
+/**
+ * MCP JSON-RPC client for `sage mcp start`.
+ *
+ * `createMcpClient` speaks newline-delimited JSON-RPC over a Bun subprocess's stdio.
+ * `createMcpSession` keeps one long-lived `sage mcp start` child for the plugin,
+ * restarting it when it crashes or stops answering.
+ */
+
+import { abortError } from "./exec.js";
+
+/** MCP protocol version sent during the handshake. */
+export const MCP_PROTOCOL_VERSION = "2024-11-05";
+
+/**
+ * Create an MCP JSON-RPC client over a Bun subprocess stdio.
+ */
+export function createMcpClient(proc) {
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  const pending = new Map();
+
+  let closed = false;
+  let closeErr;
+  let buf = "";
+
+  (async () => {
+    try {
+      for await (const chunk of proc.stdout) {
+        buf += decoder.decode(chunk);
+        const lines = buf.split("\n");
+        buf = lines.pop() ?? "";
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+
+          let msg;
+          try {
+            msg = JSON.parse(line);
+          } catch {
+            // Ignore malformed lines (stdout should be JSON-RPC, but be resilient).
+            continue;
+          }
+
+          if (msg && msg.id != null) {
+            const key = String(msg.id);
+            const waiter = pending.get(key);
+            if (waiter) {
+              pending.delete(key);
+              if (msg.error) waiter.reject(new Error(msg.error.message || "MCP error"));
+              else waiter.resolve(msg.result);
+            }
+          }
+        }
+      }
+      closed = true;
+    } catch (e) {
+      closed = true;
+      closeErr = e;
+    } finally {
+      // Fail any outstanding requests.
+      const stderr = await new Response(proc.stderr).text().catch(() => "");
+      for (const { reject } of pending.values()) {
+        reject(
+          new Error(
+            `MCP process ended before response. stderr:\n${stderr || "<empty>"}${closeErr ? `\nstdout reader error: ${closeErr}` : ""}`,
+          ),
+        );
+      }
+      pending.clear();
+    }
+  })();
+
+  return {
+    /**
+     * Send a request. It rejects with `code: "ETIMEDOUT"` after `timeoutMs` (0 waits
+     * forever) or with an AbortError when `signal` aborts; either way the server's late
+     * answer is discarded.
+     */
+    request(method, params, { timeoutMs = 0, signal } = {}) {
+      if (closed) {
+        throw new Error("MCP client is closed");
+      }
+      if (signal?.aborted) return Promise.reject(abortError(signal.reason));
+      const id = `${Date.now()}-${Math.random()}`;
+      proc.stdin.write(
+        encoder.encode(`${JSON.stringify({ jsonrpc: "2.0", id, method, params })}\n`),
+      );
+      return new Promise((resolve, reject) => {
+        let timer = null;
+        const settle = (fn) => (value) => {
+          clearTimeout(timer);
+          signal?.removeEventListener("abort", onAbort);
+          pending.delete(String(id));
+          fn(value);
+        };
+        const onAbort = () => settle(reject)(abortError(signal.reason));
+        if (timeoutMs > 0) {
+          timer = setTimeout(() => {
+            const err = new Error(`MCP ${method} timed out after ${timeoutMs}ms`);
+            err.code = "ETIMEDOUT";
+            settle(reject)(err);
+          }, timeoutMs);
+        }
+        signal?.addEventListener("abort", onAbort, { once: true });
+        pending.set(String(id), { resolve: settle(resolve), reject: settle(reject) });
+      });
+    },
+    notify(method, params) {
+      if (closed) return;
+      proc.stdin.write(encoder.encode(`${JSON.stringify({ jsonrpc: "2.0", method, params })}\n`));
+    },
+    get closed() {
+      return closed;
+    },
+    /** Requests still waiting for an answer. */
+    get pending() {
+      return pending.size;
+    },
+  };
+}
+
+/**
+ * Perform the MCP handshake (initialize + initialized notification).
+ */
+export async function initializeMcp(client, clientInfo, opts = {}) {
+  const init = await client.request(
+    "initialize",
+    { protocolVersion: MCP_PROTOCOL_VERSION, capabilities: {}, clientInfo },
+    opts,
+  );
+  client.notify("notifications/initialized", {});
+  return init;
+}
+
+/**
+ * Call an MCP tool by name and return the result. `opts` (`{ timeoutMs, signal }`) are
+ * passed to `client.request`.
+ *
+ * Returns { raw, text, json, isError } where:
+ * - raw: the full MCP result object
+ * - text: concatenated text content
+ * - json: parsed JSON if text is valid JSON, otherwise null
+ * - isError: whether the MCP response flagged an error
+ */
+export async function callTool(client, name, args = {}, opts = {}) {
+  const result = await client.request("tools/call", { name, arguments: args }, opts);
+
+  const text =
+    result?.content
+      ?.filter((c) => c.type === "text")
+      .map((c) => c.text)
+      .join("\n") ?? "";
+
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // not JSON
+  }
+
+  return { raw: result, text, json, isError: result?.isError ?? false };
+}
+
+/**
+ * Keep one `sage mcp start` child alive for the lifetime of the plugin.
+ *
+ * The process is spawned lazily on the first call. If it exits, the next call spawns a
+ * new one, waiting `restartDelayMs` (doubling per consecutive crash, capped at
+ * `maxRestartDelayMs`) so a broken binary doesn't turn into a spawn loop. A server that
+ * lets `maxTimeouts` requests in a row time out is killed and restarted the same way.
+ *
+ * Calls take `{ signal, timeoutMs }`: `timeoutMs` can only shorten `requestTimeoutMs`,
+ * and an aborted call stops waiting at once.
+ */
+export function createMcpSession({
+  sageBin = "sage",
+  env = {},
+  spawn = (cmd, opts) => Bun.spawn(cmd, opts),
+  clientInfo = { name: "sage-opencode-plugin", version: "0.0.0" },
+  requestTimeoutMs = 10_000,
+  maxTimeouts = 2,
+  restartDelayMs = 1000,
+  maxRestartDelayMs = 60_000,
+  now = Date.now,
+  log = async () => {},
+} = {}) {
+  let proc = null;
+  let client = null;
+  let starting = null;
+  let tools = null;
+  let crashes = 0;
+  let notBefore = 0;
+  let closing = false;
+  let timeouts = 0; // consecutive requests that timed out
+
+  // Forget the child and delay the next spawn, doubling per consecutive failure.
+  const crashed = (message, details) => {
+    proc = null;
+    client = null;
+    timeouts = 0;
+    crashes += 1;
+    const delay = Math.min(maxRestartDelayMs, restartDelayMs * 2 ** (crashes - 1));
+    notBefore = now() + delay;
+    void log("warn", message, { ...details, restartInMs: delay });
+  };
+
+  const requestOpts = ({ signal, timeoutMs } = {}) => ({
+    signal,
+    timeoutMs: timeoutMs > 0 ? Math.min(timeoutMs, requestTimeoutMs) : requestTimeoutMs,
+  });
+
+  // Run a request, counting timeouts (ours, or the caller's deadline aborting it).
+  const send = async (run, { signal, timeoutMs } = {}) => {
+    const child = proc;
+    try {
+      const value = await run(requestOpts({ signal, timeoutMs }));
+      timeouts = 0;
+      return value;
+    } catch (e) {
+      const timedOut = e?.code === "ETIMEDOUT" || signal?.reason?.code === "ETIMEDOUT";
+      if (timedOut && child && proc === child && ++timeouts >= maxTimeouts) {
+        child.kill?.("SIGKILL");
+        crashed("sage MCP server stopped answering; will restart on next use", {
+          timeouts: maxTimeouts,
+        });
+      }
+      throw e;
+    }
+  };
+
+  const start = async () => {
+    if (now() < notBefore) {
+      throw new Error(`MCP server restarting (retry in ${notBefore - now()}ms)`);
+    }
+
+    const child = spawn([sageBin, "mcp", "start"], {
+      stdin: "pipe",
+      stdout: "pipe",
+      stderr: "pipe",
+      env: { ...process.env, ...env },
+    });
+    const mcp = createMcpClient(child);
+    proc = child;
+    client = mcp;
+    tools = null;
+
+    child.exited?.then((code) => {
+      if (proc !== child) return;
+      if (closing) {
+        proc = null;
+        client = null;
+        return;
+      }
+      crashed("sage MCP server exited; will restart on next use", { exitCode: code });
+    });
+
+    try {
+      await initializeMcp(mcp, clientInfo, { timeoutMs: requestTimeoutMs });
+    } catch (e) {
+      child.kill?.("SIGTERM");
+      throw e;
+    }
+    crashes = 0;
+    return mcp;
+  };
+
+  const ready = async () => {
+    if (client && !client.closed) return client;
+    if (!starting) {
+      starting = start().finally(() => {
+        starting = null;
+      });
+    }
+    return starting;
+  };
+
+  return {
+    /** Call a tool; resolves to `{ raw, text, json, isError }` like `callTool`. */
+    async callTool(name, args = {}, opts = {}) {
+      const mcp = await ready();
+      return send((request) => callTool(mcp, name, args, request), opts);
+    },
+
+    /** Whether the server exposes `name` (tools/list is fetched once per process). */
+    async hasTool(name, opts = {}) {
+      const mcp = await ready();
+      if (!tools) {
+        const list = await send((request) => mcp.request("tools/list", {}, request), opts);
+        tools = new Set((list?.tools ?? []).map((t) => t.name));
+      }
+      return tools.has(name);
+    },
+
+    get running() {
+      return Boolean(client && !client.closed);
+    },
+
+    close() {
+      closing = true;
+      proc?.kill?.("SIGTERM");
+      proc = null;
+      client = null;
+    },
+  };
+}
@@ -0,0 +1,203 @@
+import { describe, expect, it } from "bun:test";
+import { isAbortError } from "./exec.js";
+import { createMcpClient, createMcpSession } from "./mcp-client.js";
+
+const NO_REPLY = Symbol("no-reply");
+
+// Fake `sage mcp start` child: answers JSON-RPC requests written to stdin via `handler`.
+const makeFakeMcpProc = (handler) => {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  let controller;
+  let exit;
+  const proc = {
+    requests: [],
+    stdout: new ReadableStream({
+      start(c) {
+        controller = c;
+      },
+    }),
+    stderr: "",
+    exited: new Promise((resolve) => {
+      exit = resolve;
+    }),
+    stdin: {
+      write(bytes) {
+        for (const line of decoder.decode(bytes).split("\n")) {
+          if (!line.trim()) continue;
+          const msg = JSON.parse(line);
+          proc.requests.push(msg);
+          if (msg.id == null) continue;
+          const result = handler(msg);
+          if (result === NO_REPLY) continue;
+          controller.enqueue(
+            encoder.encode(`${JSON.stringify({ jsonrpc: "2.0", id: msg.id, result })}\n`),
+          );
+        }
+      },
+    },
+    kill() {
+      proc.crash(null);
+    },
+    crash(code = 1) {
+      controller.close();
+      exit(code);
+    },
+  };
+  return proc;
+};
+
+const fakeServer = (msg) => {
+  switch (msg.method) {
+    case "initialize":
+      return { protocolVersion: "2024-11-05", capabilities: {} };
+    case "tools/list":
+      return { tools: [{ name: "get_prompt" }, { name: "rlm_stats" }] };
+    case "tools/call":
+      return {
+        content: [{ type: "text", text: JSON.stringify({ tool: msg.params.name }) }],
+      };
+    default:
+      return {};
+  }
+};
+
+describe("mcp-client", () => {
+  it("createMcpClient resolves responses by id", async () => {
+    const proc = makeFakeMcpProc(fakeServer);
+    const client = createMcpClient(proc);
+    const res = await client.request("tools/list", {});
+    expect(res.tools.length).toBe(2);
+  });
+
+  it("session spawns lazily and reuses one process", async () => {
+    const spawned = [];
+    const session = createMcpSession({
+      spawn: (cmd) => {
+        const proc = makeFakeMcpProc(fakeServer);
+        proc.cmd = cmd;
+        spawned.push(proc);
+        return proc;
+      },
+    });
+    expect(spawned.length).toBe(0);
+
+    expect(await session.hasTool("get_prompt")).toBe(true);
+    expect(await session.hasTool("suggest_skill")).toBe(false);
+    const res = await session.callTool("rlm_stats");
+
+    expect(res.json).toEqual({ tool: "rlm_stats" });
+    expect(spawned.length).toBe(1);
+    expect(spawned[0].cmd).toEqual(["sage", "mcp", "start"]);
+    expect(spawned[0].requests.map((r) => r.method)).toEqual([
+      "initialize",
+      "notifications/initialized",
+      "tools/list",
+      "tools/call",
+    ]);
+  });
+
+  it("session restarts the server after a crash, with backoff", async () => {
+    let t = 0;
+    const spawned = [];
+    const logs = [];
+    const session = createMcpSession({
+      spawn: () => {
+        const proc = makeFakeMcpProc(fakeServer);
+        spawned.push(proc);
+        return proc;
+      },
+      restartDelayMs: 100,
+      now: () => t,
+      log: async (level, message) => logs.push(message),
+    });
+
+    await session.callTool("rlm_stats");
+    spawned[0].crash(1);
+    await spawned[0].exited;
+    await new Promise((r) => setTimeout(r, 0));
+
+    expect(session.running).toBe(false);
+    expect(logs).toContain("sage MCP server exited; will restart on next use");
+    await expect(session.callTool("rlm_stats")).rejects.toThrow(/restarting/);
+
+    t = 100;
+    await session.callTool("rlm_stats");
+    expect(spawned.length).toBe(2);
+    expect(session.running).toBe(true);
+  });
+
+  it("session times out unanswered requests", async () => {
+    const session = createMcpSession({
+      // Completes the handshake but never answers anything else
+      spawn: () => makeFakeMcpProc((msg) => (msg.method === "initialize" ? {} : NO_REPLY)),
+      requestTimeoutMs: 20,
+    });
+    await expect(session.callTool("rlm_stats")).rejects.toThrow(/timed out/);
+    session.close();
+  });
+
+  it("createMcpClient drops requests that time out or are aborted", async () => {
+    const proc = makeFakeMcpProc(() => NO_REPLY);
+    const client = createMcpClient(proc);
+
+    const timedOut = await client.request("tools/list", {}, { timeoutMs: 10 }).catch((e) => e);
+    expect(timedOut.code).toBe("ETIMEDOUT");
+
+    const controller = new AbortController();
+    const aborted = client.request("tools/list", {}, { signal: controller.signal });
+    controller.abort("superseded");
+    expect(isAbortError(await aborted.catch((e) => e))).toBe(true);
+    expect(client.pending).toBe(0);
+  });
+
+  it("session calls stop at the caller's deadline and signal", async () => {
+    const session = createMcpSession({
+      spawn: () => makeFakeMcpProc((msg) => (msg.method === "initialize" ? {} : NO_REPLY)),
+      requestTimeoutMs: 10_000,
+      maxTimeouts: 10,
+    });
+    const started = Date.now();
+    await expect(session.hasTool("suggest_skill", { timeoutMs: 20 })).rejects.toThrow(/timed out/);
+    expect(Date.now() - started).toBeLessThan(1000);
+
+    const controller = new AbortController();
+    const call = session.callTool("suggest_skill", {}, { signal: controller.signal });
+    controller.abort("superseded");
+    expect(isAbortError(await call.catch((e) => e))).toBe(true);
+    session.close();
+  });
+
+  it("session restarts a server that keeps timing out", async () => {
+    let t = 0;
+    let answer = false;
+    const spawned = [];
+    const logs = [];
+    const session = createMcpSession({
+      spawn: () => {
+        const proc = makeFakeMcpProc((msg) =>
+          msg.method === "initialize" || answer ? fakeServer(msg) : NO_REPLY,
+        );
+        spawned.push(proc);
+        return proc;
+      },
+      requestTimeoutMs: 10,
+      maxTimeouts: 2,
+      restartDelayMs: 100,
+      now: () => t,
+      log: async (level, message) => logs.push(message),
+    });
+
+    await expect(session.callTool("rlm_stats")).rejects.toThrow(/timed out/);
+    expect(session.running).toBe(true);
+    await expect(session.callTool("rlm_stats")).rejects.toThrow(/timed out/);
+    expect(session.running).toBe(false);
+    expect(logs).toContain("sage MCP server stopped answering; will restart on next use");
+
+    t = 100;
+    answer = true;
+    expect((await session.callTool("rlm_stats")).json).toEqual({ tool: "rlm_stats" });
+    expect(spawned.length).toBe(2);
+    session.close();
+  });
+});
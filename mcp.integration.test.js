@@ -1,83 +1,8 @@
 import { describe, expect, it } from "bun:test";
+import { createMcpClient } from "./mcp-client.js";
 
 const TIMEOUT = 20_000;
 
-function createMcpClient(proc) {
-  const decoder = new TextDecoder();
-  const encoder = new TextEncoder();
-  const pending = new Map();
-
-  let closed = false;
-  let closeErr;
-  let buf = "";
-
-  (async () => {
-    try {
-      for await (const chunk of proc.stdout) {
-        buf += decoder.decode(chunk);
-        const lines = buf.split("\n");
-        buf = lines.pop() ?? "";
-
-        for (const line of lines) {
-          if (!line.trim()) continue;
-
-          let msg;
-          try {
-            msg = JSON.parse(line);
-          } catch {
-            // Ignore malformed lines (stdout should be JSON-RPC, but be resilient).
-            continue;
-          }
-
-          if (msg && msg.id != null) {
-            const key = String(msg.id);
-            const waiter = pending.get(key);
-            if (waiter) {
-              pending.delete(key);
-              if (msg.error) waiter.reject(new Error(msg.error.message || "MCP error"));
-              else waiter.resolve(msg.result);
-            }
-          }
-        }
-      }
-      closed = true;
-    } catch (e) {
-      closed = true;
-      closeErr = e;
-    } finally {
-      // Fail any outstanding requests.
-      const stderr = await new Response(proc.stderr).text().catch(() => "");
-      for (const { reject } of pending.values()) {
-        reject(
-          new Error(
-            `MCP process ended before response. stderr:\n${stderr || "<empty>"}${closeErr ? `\nstdout reader error: ${closeErr}` : ""}`,
-          ),
-        );
-      }
-      pending.clear();
-    }
-  })();
-
-  return {
-    request(method, params) {
-      if (closed) {
-        throw new Error("MCP client is closed");
-      }
-      const id = `${Date.now()}-${Math.random()}`;
-      proc.stdin.write(
-        encoder.encode(`${JSON.stringify({ jsonrpc: "2.0", id, method, params })}\n`),
-      );
-      return new Promise((resolve, reject) => {
-        pending.set(String(id), { resolve, reject });
-      });
-    },
-    notify(method, params) {
-      if (closed) return;
-      proc.stdin.write(encoder.encode(`${JSON.stringify({ jsonrpc: "2.0", method, params })}\n`));
-    },
-  };
-}
-
 import { mkdirSync, writeFileSync, rmSync } from "node:fs";
 import { tmpdir } from "node:os";
 import { join } from "node:path";
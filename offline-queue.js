@@ -0,0 +1,261 @@
+/**
+ * Durable on-disk queue for sage invocations that failed while the daemon was down.
+ *
+ * Entries are stored as JSONL (one `{ id, args, env, enqueuedAt, attempts }` per line)
+ * and replayed in order once the daemon is reachable again. Replay stops at the first
+ * failure and backs off exponentially; the oldest entries are dropped once the size
+ * caps are exceeded.
+ *
+ * OpenCode instances share the file: `<path>.lock` guards each read-modify-write and
+ * `<path>.drain.lock` lets only one of them replay at a time.
+ *
+ * Inspect or flush the queue from a shell:
+ *
+ *   bun offline-queue.js status|list|flush|clear
+ */
+
+import { readFile, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { createLock, tryLockFile, withLockFile, writeFileAtomic } from "./file-utils.js";
+import { pluginDataDir } from "./paths.js";
+
+/** Default queue location under the Sage data directory. */
+export function defaultQueuePath(env = process.env) {
+  return join(pluginDataDir(env), "queue.jsonl");
+}
+
+const parseLines = (text) => {
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A torn write can leave a partial last line; skip it rather than losing the queue.
+    }
+  }
+  return entries;
+};
+
+const serialize = (entries) => entries.map((e) => `${JSON.stringify(e)}\n`).join("");
+
+/**
+ * Create a queue backed by the JSONL file at `path`.
+ *
+ * `drain(execute)` replays entries through `execute(args, env)` in order. Entries are
+ * removed only after `execute` resolves; an entry that fails with a non-retryable error,
+ * or fails `maxAttempts` times, is dropped so a poisoned command cannot block the queue.
+ * The file is not locked while `execute` runs, so `enqueue` never waits for a replay.
+ */
+export function createOfflineQueue({
+  path = defaultQueuePath(),
+  maxEntries = 1000,
+  maxBytes = 5 * 1024 * 1024,
+  maxAttempts = 20,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60_000,
+  now = Date.now,
+} = {}) {
+  let failures = 0;
+  let nextAttemptAt = 0;
+  let seq = 0;
+  // All file access goes through these locks so appends and rewrites never interleave,
+  // within this process or across processes.
+  const inProcess = createLock();
+  const locked = (fn) => inProcess(() => withLockFile(`${path}.lock`, fn));
+  const drains = createLock();
+
+  const load = async () => {
+    try {
+      return parseLines(await readFile(path, "utf8"));
+    } catch (e) {
+      if (e?.code === "ENOENT") return [];
+      throw e;
+    }
+  };
+
+  const save = async (entries) => {
+    if (entries.length === 0) {
+      await rm(path, { force: true });
+      return;
+    }
+    await writeFileAtomic(path, serialize(entries));
+  };
+
+  // Drop the oldest entries until both caps hold; returns how many were dropped.
+  const trim = (entries) => {
+    let dropped = 0;
+    let bytes = Buffer.byteLength(serialize(entries));
+    while (entries.length > 0 && (entries.length > maxEntries || bytes > maxBytes)) {
+      const [oldest] = entries.splice(0, 1);
+      bytes -= Buffer.byteLength(`${JSON.stringify(oldest)}\n`);
+      dropped += 1;
+    }
+    return dropped;
+  };
+
+  // Rewrite the entry `id` (null removes it); resolves to the entries left.
+  const replace = (id, next) =>
+    locked(async () => {
+      const entries = (await load()).flatMap((e) => (e.id !== id ? [e] : next ? [next] : []));
+      await save(entries);
+      return entries;
+    });
+
+  const backoff = () => {
+    failures += 1;
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (failures - 1));
+    nextAttemptAt = now() + delay;
+    return delay;
+  };
+
+  return {
+    path,
+
+    /** Append a failed invocation. Resolves to `{ id, dropped }`. */
+    enqueue({ args, env = {} }) {
+      return locked(async () => {
+        seq += 1;
+        const entry = {
+          id: `${now()}-${process.pid}-${seq}`,
+          args,
+          env,
+          enqueuedAt: new Date(now()).toISOString(),
+          attempts: 0,
+        };
+        const entries = await load();
+        entries.push(entry);
+        const dropped = trim(entries);
+        await save(entries);
+        return { id: entry.id, dropped };
+      });
+    },
+
+    entries() {
+      return locked(load);
+    },
+
+    /** Summary for logs and the CLI. */
+    stats() {
+      return locked(async () => {
+        const entries = await load();
+        return {
+          path,
+          count: entries.length,
+          bytes: Buffer.byteLength(serialize(entries)),
+          oldest: entries[0]?.enqueuedAt ?? null,
+          nextAttemptAt: nextAttemptAt > now() ? new Date(nextAttemptAt).toISOString() : null,
+        };
+      });
+    },
+
+    /**
+     * Replay queued entries in order. Resolves to `{ replayed, dropped, remaining, retryInMs, error }`;
+     * `retryInMs` is set when replay stopped on a failure or is still backing off.
+     */
+    drain(execute, { force = false, isRetryable = () => true } = {}) {
+      return drains(async () => {
+        const result = { replayed: 0, dropped: 0, remaining: 0, retryInMs: null };
+        const release = await tryLockFile(`${path}.drain.lock`);
+        if (!release) {
+          // Another OpenCode instance is replaying; look again later.
+          result.remaining = (await locked(load)).length;
+          if (result.remaining > 0) result.retryInMs = baseDelayMs;
+          return result;
+        }
+
+        try {
+          let entries = await locked(load);
+          result.remaining = entries.length;
+          if (entries.length === 0) return result;
+          if (!force && now() < nextAttemptAt) {
+            result.retryInMs = nextAttemptAt - now();
+            return result;
+          }
+
+          while (entries.length > 0) {
+            const entry = entries[0];
+            try {
+              await execute(entry.args, entry.env ?? {});
+              entries = await replace(entry.id, null);
+              result.replayed += 1;
+            } catch (e) {
+              const attempts = (entry.attempts ?? 0) + 1;
+              if (!isRetryable(e) || attempts >= maxAttempts) {
+                entries = await replace(entry.id, null);
+                result.dropped += 1;
+                continue;
+              }
+              entries = await replace(entry.id, { ...entry, attempts });
+              result.error = e;
+              result.retryInMs = backoff();
+              break;
+            }
+          }
+
+          if (entries.length === 0) {
+            failures = 0;
+            nextAttemptAt = 0;
+          }
+          result.remaining = entries.length;
+          return result;
+        } finally {
+          await release();
+        }
+      });
+    },
+
+    clear() {
+      return locked(async () => {
+        const count = (await load()).length;
+        await save([]);
+        failures = 0;
+        nextAttemptAt = 0;
+        return count;
+      });
+    },
+  };
+}
+
+// CLI: `bun offline-queue.js status|list|flush|clear`
+if (import.meta.main) {
+  const queue = createOfflineQueue({ path: process.env.SAGE_PLUGIN_QUEUE_PATH || undefined });
+  const command = process.argv[2] || "status";
+  const sageBin = process.env.SAGE_BIN || "sage";
+
+  const execute = async (args, env) => {
+    const proc = Bun.spawn([sageBin, ...args], {
+      env: { ...process.env, ...env, SAGE_SOURCE: "opencode" },
+      stdout: "pipe",
+      stderr: "pipe",
+    });
+    const [exitCode, stderr] = await Promise.all([proc.exited, new Response(proc.stderr).text()]);
+    if (exitCode !== 0) throw new Error(`sage exited with ${exitCode}: ${stderr.trim()}`);
+  };
+
+  switch (command) {
+    case "status":
+      console.log(JSON.stringify(await queue.stats(), null, 2));
+      break;
+    case "list":
+      for (const entry of await queue.entries()) {
+        console.log(`${entry.id}\t${entry.enqueuedAt}\tsage ${entry.args.slice(0, 3).join(" ")}`);
+      }
+      break;
+    case "flush": {
+      const { error, ...result } = await queue.drain(execute, { force: true });
+      console.log(JSON.stringify(result));
+      if (error) {
+        console.error(String(error));
+        process.exitCode = 1;
+      }
+      break;
+    }
+    case "clear":
+      console.log(`removed ${await queue.clear()} queued entries`);
+      break;
+    default:
+      console.error("usage: bun offline-queue.js status|list|flush|clear");
+      process.exitCode = 2;
+  }
+}
@@ -0,0 +1,159 @@
+import { describe, expect, it } from "bun:test";
+import { existsSync, mkdtempSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createOfflineQueue } from "./offline-queue.js";
+
+describe("createOfflineQueue", () => {
+  const tmpQueuePath = () => join(mkdtempSync(join(tmpdir(), "sage-queue-")), "queue.jsonl");
+
+  const makeClock = (start = 1_000) => {
+    let t = start;
+    const now = () => t;
+    now.advance = (ms) => {
+      t += ms;
+    };
+    return now;
+  };
+
+  it("persists entries as JSONL", async () => {
+    const path = tmpQueuePath();
+    const queue = createOfflineQueue({ path });
+    await queue.enqueue({ args: ["capture", "hook", "prompt"], env: { PROMPT: "hi" } });
+
+    const lines = readFileSync(path, "utf8").trim().split("\n");
+    expect(lines.length).toBe(1);
+    expect(JSON.parse(lines[0]).env.PROMPT).toBe("hi");
+
+    // A fresh instance sees the same entries
+    const reopened = createOfflineQueue({ path });
+    expect((await reopened.stats()).count).toBe(1);
+  });
+
+  it("replays in order and removes the file once empty", async () => {
+    const path = tmpQueuePath();
+    const queue = createOfflineQueue({ path });
+    for (const n of [1, 2, 3]) await queue.enqueue({ args: [`cmd-${n}`] });
+
+    const seen = [];
+    const result = await queue.drain(async (args) => seen.push(args[0]));
+    expect(seen).toEqual(["cmd-1", "cmd-2", "cmd-3"]);
+    expect(result).toMatchObject({ replayed: 3, remaining: 0, retryInMs: null });
+    expect(existsSync(path)).toBe(false);
+  });
+
+  it("stops at the first failure and backs off exponentially", async () => {
+    const now = makeClock();
+    const queue = createOfflineQueue({ path: tmpQueuePath(), baseDelayMs: 100, now });
+    await queue.enqueue({ args: ["a"] });
+    await queue.enqueue({ args: ["b"] });
+
+    const fail = async () => {
+      throw new Error("daemon down");
+    };
+    const first = await queue.drain(fail);
+    expect(first).toMatchObject({ replayed: 0, remaining: 2, retryInMs: 100 });
+
+    // Still backing off: nothing is attempted
+    let attempted = false;
+    const waiting = await queue.drain(async () => {
+      attempted = true;
+    });
+    expect(attempted).toBe(false);
+    expect(waiting.retryInMs).toBe(100);
+
+    now.advance(100);
+    const second = await queue.drain(fail);
+    expect(second.retryInMs).toBe(200);
+
+    // force ignores the backoff window
+    const forced = await queue.drain(async () => {}, { force: true });
+    expect(forced).toMatchObject({ replayed: 2, remaining: 0 });
+  });
+
+  it("drops entries that exceed maxAttempts", async () => {
+    const queue = createOfflineQueue({ path: tmpQueuePath(), maxAttempts: 1 });
+    await queue.enqueue({ args: ["poison"] });
+    await queue.enqueue({ args: ["ok"] });
+
+    const seen = [];
+    const result = await queue.drain(async (args) => {
+      if (args[0] === "poison") throw new Error("bad arguments");
+      seen.push(args[0]);
+    });
+    expect(result).toMatchObject({ replayed: 1, dropped: 1, remaining: 0 });
+    expect(seen).toEqual(["ok"]);
+  });
+
+  it("does not hold the file while a replayed command runs", async () => {
+    const queue = createOfflineQueue({ path: tmpQueuePath() });
+    await queue.enqueue({ args: ["old"] });
+
+    let finish;
+    const running = new Promise((r) => {
+      finish = r;
+    });
+    const seen = [];
+    const draining = queue.drain(async (args) => {
+      seen.push(args[0]);
+      if (args[0] === "old") await running;
+    });
+    await new Promise((r) => setTimeout(r, 10));
+
+    // Appends go through while the first command is still running
+    const started = Date.now();
+    await queue.enqueue({ args: ["new"] });
+    expect(Date.now() - started).toBeLessThan(500);
+
+    finish();
+    expect(await draining).toMatchObject({ replayed: 2, remaining: 0 });
+    expect(seen).toEqual(["old", "new"]);
+  });
+
+  it("lets only one instance sharing the file replay at a time", async () => {
+    const path = tmpQueuePath();
+    const first = createOfflineQueue({ path });
+    const second = createOfflineQueue({ path });
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => (i % 2 ? first : second).enqueue({ args: [`${i}`] })),
+    );
+    expect((await first.stats()).count).toBe(10);
+
+    const seen = [];
+    const execute = async (args) => {
+      seen.push(args[0]);
+      await new Promise((r) => setTimeout(r, 1));
+    };
+    const [a, b] = await Promise.all([first.drain(execute), second.drain(execute)]);
+    // The other one found the drain lock taken and left the entries alone
+    expect([a.replayed, b.replayed].sort((x, y) => x - y)).toEqual([0, 10]);
+    expect(seen.sort((x, y) => x - y)).toEqual(["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"]);
+  });
+
+  it("drops the oldest entries beyond maxEntries", async () => {
+    const queue = createOfflineQueue({ path: tmpQueuePath(), maxEntries: 2 });
+    await queue.enqueue({ args: ["1"] });
+    await queue.enqueue({ args: ["2"] });
+    const { dropped } = await queue.enqueue({ args: ["3"] });
+
+    expect(dropped).toBe(1);
+    expect((await queue.entries()).map((e) => e.args[0])).toEqual(["2", "3"]);
+  });
+
+  it("drops the oldest entries beyond maxBytes", async () => {
+    const queue = createOfflineQueue({ path: tmpQueuePath(), maxBytes: 300 });
+    await queue.enqueue({ args: ["x"], env: { PROMPT: "a".repeat(150) } });
+    await queue.enqueue({ args: ["y"], env: { PROMPT: "b".repeat(150) } });
+
+    const entries = await queue.entries();
+    expect(entries.map((e) => e.args[0])).toEqual(["y"]);
+  });
+
+  it("clear empties the queue", async () => {
+    const path = tmpQueuePath();
+    const queue = createOfflineQueue({ path });
+    await queue.enqueue({ args: ["a"] });
+    expect(await queue.clear()).toBe(1);
+    expect((await queue.stats()).count).toBe(0);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Assembles streamed message parts.
+ *
+ * OpenCode re-sends a part on every `message.part.updated` while it streams: text parts
+ * carry the cumulative text so far, sometimes with the newly added `delta`. Parts are
+ * kept per `messageID` and `part.id`, so a re-sent part replaces its earlier version
+ * instead of being appended again, and parts of different messages never mix.
+ *
+ * Parts without an id (older OpenCode versions) can't be told apart from new ones: their
+ * text is appended as it arrives, and other id-less parts are kept in order.
+ */
+
+const ANONYMOUS_MESSAGE = "";
+
+/** Next text for a re-sent text/reasoning part, given the text assembled so far. */
+export function mergeText(previous, part, delta) {
+  const text = typeof part.text === "string" ? part.text : null;
+  // Cumulative update: the part already contains everything seen so far
+  if (text?.startsWith(previous)) return text;
+  if (typeof delta === "string") return previous + delta;
+  return text ?? previous;
+}
+
+/** Create an assembler for one session's in-flight messages. */
+export function createPartAssembler() {
+  // messageID -> Map(part key -> part); Map order is arrival order
+  const messages = new Map();
+  let anonymous = 0;
+
+  const partsOf = (messageID) => {
+    const id = messageID ?? ANONYMOUS_MESSAGE;
+    let parts = messages.get(id);
+    if (!parts) {
+      parts = new Map();
+      messages.set(id, parts);
+    }
+    return parts;
+  };
+
+  return {
+    /** Apply one `message.part.updated` event (`part` and optional `delta`). */
+    update(part, delta) {
+      if (!part?.type) return;
+      const parts = partsOf(part.messageID);
+      const isText = part.type === "text" || part.type === "reasoning";
+
+      if (part.id == null) {
+        if (isText) {
+          // Id-less text chunks join into one part per type
+          const key = `anonymous:${part.type}`;
+          const previous = parts.get(key);
+          const chunk = part.text ?? (typeof delta === "string" ? delta : "");
+          parts.set(key, { ...part, text: (previous?.text ?? "") + chunk });
+        } else {
+          anonymous += 1;
+          parts.set(part.callID ?? `anonymous:${anonymous}`, part);
+        }
+        return;
+      }
+
+      const previous = parts.get(part.id);
+      parts.set(
+        part.id,
+        isText ? { ...part, text: mergeText(previous?.text ?? "", part, delta) } : part,
+      );
+    },
+
+    /**
+     * Remove and return the parts of `messageID`, in arrival order, followed by any
+     * id-less parts (which can't be attributed to a message).
+     */
+    take(messageID) {
+      const parts = [];
+      for (const id of new Set([messageID ?? ANONYMOUS_MESSAGE, ANONYMOUS_MESSAGE])) {
+        parts.push(...(messages.get(id)?.values() ?? []));
+        messages.delete(id);
+      }
+      return parts;
+    },
+
+    /** Forget everything (e.g. when a new prompt starts). */
+    clear() {
+      messages.clear();
+    },
+
+    /** Number of messages with pending parts. */
+    get size() {
+      return messages.size;
+    },
+  };
+}
+
+/** The visible text of assembled parts: text parts (not reasoning), in order. */
+export function partsText(parts) {
+  return parts
+    .filter((p) => p.type === "text" && !p.synthetic)
+    .map((p) => p.text ?? "")
+    .join("\n\n");
+}
@@ -0,0 +1,63 @@
+import { describe, expect, it } from "bun:test";
+import { createPartAssembler, mergeText, partsText } from "./part-assembler.js";
+
+describe("mergeText", () => {
+  it("replaces cumulative text and appends deltas", () => {
+    expect(mergeText("Hel", { text: "Hello" }, "lo")).toBe("Hello");
+    expect(mergeText("Hel", { text: "lo" }, "lo")).toBe("Hello");
+    expect(mergeText("Hel", {}, "lo")).toBe("Hello");
+    // A rewritten part without a delta replaces what was there
+    expect(mergeText("Hello", { text: "Goodbye" })).toBe("Goodbye");
+  });
+});
+
+describe("createPartAssembler", () => {
+  it("keeps one version of each part per message, in arrival order", () => {
+    const parts = createPartAssembler();
+    parts.update({ id: "a", messageID: "m1", type: "text", text: "Hel" });
+    parts.update({
+      id: "t",
+      messageID: "m1",
+      type: "tool",
+      tool: "read",
+      state: { status: "running" },
+    });
+    parts.update({ id: "a", messageID: "m1", type: "text", text: "Hello" }, "lo");
+    parts.update({ id: "b", messageID: "m2", type: "text", text: "other message" });
+    parts.update({
+      id: "t",
+      messageID: "m1",
+      type: "tool",
+      tool: "read",
+      state: { status: "completed" },
+    });
+    parts.update({ id: "c", messageID: "m1", type: "text" }, "World");
+
+    const m1 = parts.take("m1");
+    expect(m1.map((p) => p.id)).toEqual(["a", "t", "c"]);
+    expect(m1[1].state.status).toBe("completed");
+    expect(partsText(m1)).toBe("Hello\n\nWorld");
+    expect(parts.size).toBe(1);
+    expect(partsText(parts.take("m2"))).toBe("other message");
+  });
+
+  it("appends text of parts without ids", () => {
+    const parts = createPartAssembler();
+    parts.update({ type: "text", text: "Rust " });
+    parts.update({ type: "text", text: "is great." });
+    parts.update({ type: "tool", tool: "bash" });
+    parts.update({ type: "tool", tool: "bash" });
+    const taken = parts.take(undefined);
+    expect(partsText(taken)).toBe("Rust is great.");
+    expect(taken.filter((p) => p.type === "tool")).toHaveLength(2);
+    expect(parts.size).toBe(0);
+  });
+
+  it("includes id-less parts when taking a message and skips reasoning and synthetic text", () => {
+    const parts = createPartAssembler();
+    parts.update({ id: "r", messageID: "m1", type: "reasoning", text: "hmm" });
+    parts.update({ id: "s", messageID: "m1", type: "text", text: "injected", synthetic: true });
+    parts.update({ type: "text", text: "late" });
+    expect(partsText(parts.take("m1"))).toBe("late");
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Filesystem locations shared with the sage CLI.
+ */
+
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+/**
+ * Resolve the Sage data directory the same way the sage CLI does:
+ * `$XDG_DATA_HOME/sage`, falling back to `~/.local/share/sage`.
+ */
+export function sageDataDir(env = process.env) {
+  const base = env.XDG_DATA_HOME || join(env.HOME || homedir(), ".local", "share");
+  return join(base, "sage");
+}
+
+/** Where sage keeps installed library manifests: `<sageDataDir>/libraries`. */
+export function sageLibrariesDir(env = process.env) {
+  return join(sageDataDir(env), "libraries");
+}
+
+/** Sage's user config directory: `$XDG_CONFIG_HOME/sage`, falling back to `~/.config/sage`. */
+export function sageConfigDir(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || join(env.HOME || homedir(), ".config");
+  return join(base, "sage");
+}
+
+/** Directory for state owned by this plugin (queue, preferences, ...). */
+export function pluginDataDir(env = process.env) {
+  return join(sageDataDir(env), "opencode-plugin");
+}
+
+/**
+ * Candidate locations of the sage daemon IPC socket, most specific first.
+ * Mirrors where `sage daemon start` creates it (see `startDaemon` in test-utils.js).
+ */
+export function sageSocketCandidates(env = process.env) {
+  const home = env.HOME || homedir();
+  const sageHome = env.SAGE_HOME || join(home, ".sage");
+  return [
+    env.SAGE_SOCKET,
+    env.XDG_RUNTIME_DIR && join(env.XDG_RUNTIME_DIR, "sage", "sage.sock"),
+    env.XDG_RUNTIME_DIR && join(env.XDG_RUNTIME_DIR, "sage.sock"),
+    join(sageHome, "run", "sage.sock"),
+    join(sageHome, "sage.sock"),
+  ].filter(Boolean);
+}
@@ -0,0 +1,128 @@
+/**
+ * Secret and PII redaction for text leaving the plugin (prompts, responses, feedback).
+ *
+ * Matches are replaced with `[REDACTED:<detector>]`. Built-in detectors run first, then
+ * user patterns, then the high-entropy scan, so a token is only counted once.
+ */
+
+/**
+ * Built-in detectors. `keep` names a capture group that stays in the output (e.g. the
+ * `aws_secret_access_key=` prefix) so the surrounding text still reads naturally.
+ */
+export const BUILTIN_DETECTORS = [
+  {
+    name: "private_key",
+    pattern:
+      /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/g,
+  },
+  {
+    name: "jwt",
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g,
+  },
+  {
+    name: "aws_access_key",
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g,
+  },
+  {
+    name: "aws_secret_key",
+    pattern:
+      /(aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+    keep: 1,
+  },
+  {
+    name: "email",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+  },
+];
+
+// Candidate tokens for the entropy check: long runs of base64/hex/url-safe characters.
+const TOKEN_RE = /[A-Za-z0-9+/=_-]{20,}/g;
+
+/** Shannon entropy of `s` in bits per character. */
+export function shannonEntropy(s) {
+  if (!s) return 0;
+  const counts = new Map();
+  for (const ch of s) counts.set(ch, (counts.get(ch) ?? 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) {
+    const p = n / s.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Mixed letters and digits with high entropy look like keys; identifiers, paths and hex
+// digests (at most 4 bits/char) stay below the default threshold.
+const looksLikeSecret = (token, threshold) =>
+  /[A-Za-z]/.test(token) && /[0-9]/.test(token) && shannonEntropy(token) >= threshold;
+
+/**
+ * Build a redactor.
+ *
+ * `patterns` are extra regex sources (from config); each match counts as `custom`.
+ * Set `highEntropy: false` to skip the entropy scan, which is the detector most prone to
+ * false positives.
+ */
+export function createRedactor({
+  patterns = [],
+  highEntropy = true,
+  entropyThreshold = 4.2,
+  minEntropyLength = 24,
+} = {}) {
+  const detectors = [
+    ...BUILTIN_DETECTORS,
+    ...patterns.map((source) => ({ name: "custom", pattern: new RegExp(source, "g") })),
+  ];
+
+  return {
+    /**
+     * Redact `text`. Returns `{ text, count, types }` where `types` counts matches per
+     * detector name.
+     */
+    redact(text) {
+      if (typeof text !== "string" || !text) return { text: text ?? "", count: 0, types: {} };
+
+      const types = {};
+      let count = 0;
+      const hit = (name) => {
+        types[name] = (types[name] ?? 0) + 1;
+        count += 1;
+      };
+
+      let out = text;
+      for (const { name, pattern, keep } of detectors) {
+        pattern.lastIndex = 0;
+        out = out.replace(pattern, (match, ...groups) => {
+          // Empty matches from user patterns would loop over every position.
+          if (!match) return match;
+          hit(name);
+          return `${keep ? groups[keep - 1] : ""}[REDACTED:${name}]`;
+        });
+      }
+
+      if (highEntropy) {
+        out = out.replace(TOKEN_RE, (token) => {
+          if (token.length < minEntropyLength || !looksLikeSecret(token, entropyThreshold)) {
+            return token;
+          }
+          hit("high_entropy");
+          return "[REDACTED:high_entropy]";
+        });
+      }
+
+      return { text: out, count, types };
+    },
+  };
+}
+
+/** Merge redaction results into one `{ count, types }` summary for capture attributes. */
+export function summarizeRedactions(...results) {
+  const types = {};
+  let count = 0;
+  for (const r of results) {
+    if (!r) continue;
+    count += r.count;
+    for (const [name, n] of Object.entries(r.types)) types[name] = (types[name] ?? 0) + n;
+  }
+  return { count, types };
+}
@@ -0,0 +1,30 @@
+/**
+ * Relevance filtering for `sage suggest skill` results.
+ *
+ * Results may carry a `score` (or `confidence`) between 0 and 1. Results below the
+ * configured minimum are dropped; results without either field are kept, since there is
+ * nothing to judge them by.
+ */
+
+/** The result's relevance score in [0, 1], or null when it reports none. */
+export function resultScore(result) {
+  for (const field of [result?.score, result?.confidence]) {
+    const n = typeof field === "string" ? Number(field) : field;
+    if (typeof n === "number" && Number.isFinite(n)) return Math.min(1, Math.max(0, n));
+  }
+  return null;
+}
+
+/**
+ * Split `results` into those scoring at least `minScore` (or unscored) and those below it,
+ * keeping the order. Returns `{ kept, dropped }`.
+ */
+export function filterRelevant(results, { minScore = 0 } = {}) {
+  const kept = [];
+  const dropped = [];
+  for (const r of results) {
+    const score = resultScore(r);
+    (score == null || score >= minScore ? kept : dropped).push(r);
+  }
+  return { kept, dropped };
+}
@@ -0,0 +1,23 @@
+import { describe, expect, it } from "bun:test";
+import { filterRelevant, resultScore } from "./relevance.js";
+
+describe("resultScore", () => {
+  it("reads score or confidence, clamped to [0, 1]", () => {
+    expect(resultScore({ score: 0.4 })).toBe(0.4);
+    expect(resultScore({ confidence: "0.7" })).toBe(0.7);
+    expect(resultScore({ score: 0.2, confidence: 0.9 })).toBe(0.2);
+    expect(resultScore({ score: 1.5 })).toBe(1);
+    expect(resultScore({ score: "high", confidence: 0.5 })).toBe(0.5);
+    expect(resultScore({ key: "x" })).toBeNull();
+  });
+});
+
+describe("filterRelevant", () => {
+  it("drops scored results below the minimum and keeps unscored ones", () => {
+    const results = [{ key: "a", score: 0.9 }, { key: "b", score: 0.1 }, { key: "c" }];
+    const { kept, dropped } = filterRelevant(results, { minScore: 0.3 });
+    expect(kept.map((r) => r.key)).toEqual(["a", "c"]);
+    expect(dropped.map((r) => r.key)).toEqual(["b"]);
+    expect(filterRelevant(results).kept).toHaveLength(3);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Rendering of suggestion results into the text appended to the TUI prompt.
+ *
+ * Modes:
+ *   full      heading, library, description and the content in a code fence (default)
+ *   headings  heading and description; content folded into a <details> block
+ *   compact   one bullet per result: name, key, score and description
+ *   table     a markdown table of name, key, score and description
+ *   plain     one `name (key): description` line per result, no markdown
+ *
+ * A template, when set, replaces the mode and is rendered once per result (see
+ * `renderTemplate`). Content is truncated to `maxContentChars` in every mode.
+ */
+
+import { resultScore } from "./relevance.js";
+
+/** Available render modes. */
+export const RENDER_MODES = ["full", "headings", "compact", "table", "plain"];
+
+const qualified = (r) => (r.library ? `${r.library}/${r.key}` : r.key);
+
+const markerFor = (key) => `[[sage:prompt_key=${key}]]`;
+
+const oneLine = (text) =>
+  String(text ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Cut `content` to `maxChars` characters (0 keeps it whole), noting how much was left out.
+ */
+export function truncateContent(content, maxChars) {
+  const text = String(content ?? "");
+  if (!maxChars || text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars).trimEnd()}\n… (${text.length - maxChars} more characters)`;
+}
+
+/** Template fields for one result; missing values are empty strings. */
+export function templateFields(result, { maxContentChars = 0 } = {}) {
+  const key = qualified(result);
+  const score = resultScore(result);
+  return {
+    name: result.name ?? result.key ?? "",
+    key: key ?? "",
+    library: result.library ?? "",
+    description: result.description ?? "",
+    content: truncateContent(result.content, maxContentChars),
+    score: score == null ? "" : score.toFixed(2),
+    marker: key ? markerFor(key) : "",
+  };
+}
+
+/**
+ * Fill `{{field}}` placeholders (name, key, library, description, content, score, marker)
+ * for one result. Unknown placeholders are left as typed; `\n` stands for a newline so
+ * templates fit in an environment variable.
+ */
+export function renderTemplate(template, result, options = {}) {
+  const fields = templateFields(result, options);
+  return template
+    .replace(/\\n/g, "\n")
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => (name in fields ? fields[name] : m));
+}
+
+const cell = (text) => oneLine(text).replace(/\|/g, "\\|");
+
+const MARKER_TEXT = "If you use a suggestion, include its marker: [[sage:prompt_key=<key>]]";
+const MARKER_HINT = `<!-- ${MARKER_TEXT} -->`;
+
+const renderers = {
+  full: (results, { maxContentChars }) =>
+    results
+      .map((r) => {
+        const f = templateFields(r, { maxContentChars });
+        const scoreLabel = f.score ? `, score: ${f.score}` : "";
+        let block = `### ${f.name} (key: ${f.key}${scoreLabel})\n`;
+        if (r.library) block += `*Library: ${r.library}*\n`;
+        if (r.description) block += `${r.description}\n`;
+        if (r.content) block += `\n\`\`\`\n${f.content}\n\`\`\`\n`;
+        block += `\n<!-- If you use this suggestion, include marker: ${f.marker} -->\n`;
+        return block;
+      })
+      .join("\n---\n\n"),
+
+  headings: (results, { maxContentChars }) =>
+    results
+      .map((r) => {
+        const f = templateFields(r, { maxContentChars });
+        const scoreLabel = f.score ? `, score: ${f.score}` : "";
+        let block = `### ${f.name} (key: ${f.key}${scoreLabel})\n`;
+        if (r.description) block += `${r.description}\n`;
+        if (r.content) {
+          block += `\n<details><summary>Content</summary>\n\n\`\`\`\n${f.content}\n\`\`\`\n\n</details>\n`;
+        }
+        block += `\n<!-- If you use this suggestion, include marker: ${f.marker} -->\n`;
+        return block;
+      })
+      .join("\n"),
+
+  compact: (results, { hint }) => {
+    const lines = results.map((r) => {
+      const f = templateFields(r);
+      const scoreLabel = f.score ? `, ${f.score}` : "";
+      const description = f.description ? ` — ${oneLine(f.description)}` : "";
+      return `- **${f.name}** (\`${f.key}\`${scoreLabel})${description}`;
+    });
+    return `${lines.join("\n")}\n${hint ? `\n${MARKER_HINT}\n` : ""}`;
+  },
+
+  table: (results, { hint }) => {
+    const rows = results.map((r) => {
+      const f = templateFields(r);
+      return `| ${cell(f.name)} | \`${f.key}\` | ${f.score} | ${cell(f.description)} |`;
+    });
+    const header = "| Skill | Key | Score | Description |\n| --- | --- | --- | --- |";
+    return `${header}\n${rows.join("\n")}\n${hint ? `\n${MARKER_HINT}\n` : ""}`;
+  },
+
+  plain: (results, { hint }) =>
+    `${results
+      .map((r) => {
+        const f = templateFields(r);
+        const description = f.description ? `: ${oneLine(f.description)}` : "";
+        return `${f.name} (${f.key})${description}`;
+      })
+      .join("\n")}\n${hint ? `\n${MARKER_TEXT}\n` : ""}`,
+};
+
+/**
+ * Render suggest results. `mode` is one of RENDER_MODES (unknown modes render as "full");
+ * `template`, if set, is used instead of the mode. `hint: false` leaves out the marker
+ * hint of the one-line modes, for displays the model never reads.
+ */
+export function renderSuggestions(
+  results,
+  { mode = "full", maxContentChars = 0, template, hint = true } = {},
+) {
+  if (template) {
+    return `${results.map((r) => renderTemplate(template, r, { maxContentChars })).join("\n")}\n`;
+  }
+  const render = renderers[mode] ?? renderers.full;
+  return render(results, { maxContentChars, hint });
+}
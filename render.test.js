@@ -0,0 +1,85 @@
+import { describe, expect, it } from "bun:test";
+import { CONFIG_SCHEMA } from "./config.js";
+import { RENDER_MODES, renderSuggestions, renderTemplate, truncateContent } from "./render.js";
+
+const RESULTS = [
+  {
+    name: "Database Optimizer",
+    key: "db-optimizer",
+    library: "lib",
+    description: "Optimize slow SQL | indexes",
+    content: "CREATE INDEX ...",
+    score: 0.82,
+  },
+  { name: "Docs Writer", key: "docs" },
+];
+
+describe("truncateContent", () => {
+  it("cuts long content and says how much is missing", () => {
+    expect(truncateContent("abcdef", 4)).toBe("abcd\n… (2 more characters)");
+    expect(truncateContent("abc", 4)).toBe("abc");
+    expect(truncateContent("abcdef", 0)).toBe("abcdef");
+    expect(truncateContent(undefined, 4)).toBe("");
+  });
+});
+
+describe("renderSuggestions", () => {
+  it("offers every mode the config accepts", () => {
+    expect(CONFIG_SCHEMA.suggestRender.values).toEqual(RENDER_MODES);
+  });
+
+  it("renders full blocks with truncated content", () => {
+    const out = renderSuggestions(RESULTS, { maxContentChars: 6 });
+    expect(out).toContain("### Database Optimizer (key: lib/db-optimizer, score: 0.82)\n");
+    expect(out).toContain("*Library: lib*\n");
+    expect(out).toContain("```\nCREATE\n… (10 more characters)\n```");
+    expect(out).toContain("[[sage:prompt_key=lib/db-optimizer]]");
+    expect(out).toContain("### Docs Writer (key: docs)\n");
+    expect(out).toContain("\n---\n\n");
+  });
+
+  it("folds content in headings mode", () => {
+    const out = renderSuggestions(RESULTS, { mode: "headings" });
+    expect(out).toContain("<details><summary>Content</summary>\n\n```\nCREATE INDEX ...\n```");
+    expect(out).not.toContain("*Library:");
+  });
+
+  it("renders one line per result in compact and plain modes", () => {
+    expect(renderSuggestions(RESULTS, { mode: "compact" })).toStartWith(
+      "- **Database Optimizer** (`lib/db-optimizer`, 0.82) — Optimize slow SQL | indexes\n" +
+        "- **Docs Writer** (`docs`)\n\n<!-- If you use a suggestion",
+    );
+    expect(renderSuggestions(RESULTS, { mode: "plain" })).toStartWith(
+      "Database Optimizer (lib/db-optimizer): Optimize slow SQL | indexes\nDocs Writer (docs)\n",
+    );
+  });
+
+  it("can leave out the marker hint", () => {
+    expect(renderSuggestions(RESULTS, { mode: "plain", hint: false })).toBe(
+      "Database Optimizer (lib/db-optimizer): Optimize slow SQL | indexes\nDocs Writer (docs)\n",
+    );
+  });
+
+  it("renders a table with escaped cells", () => {
+    const out = renderSuggestions(RESULTS, { mode: "table" });
+    expect(out).toStartWith(
+      "| Skill | Key | Score | Description |\n| --- | --- | --- | --- |\n" +
+        "| Database Optimizer | `lib/db-optimizer` | 0.82 | Optimize slow SQL \\| indexes |\n" +
+        "| Docs Writer | `docs` |  |  |\n",
+    );
+  });
+
+  it("uses a template instead of the mode", () => {
+    const out = renderSuggestions(RESULTS, {
+      mode: "table",
+      template: "{{name}} [{{ score }}] {{marker}}\\n{{unknown}}",
+    });
+    expect(out).toBe(
+      "Database Optimizer [0.82] [[sage:prompt_key=lib/db-optimizer]]\n{{unknown}}\n" +
+        "Docs Writer [] [[sage:prompt_key=docs]]\n{{unknown}}\n",
+    );
+    expect(renderTemplate("{{content}}", RESULTS[0], { maxContentChars: 3 })).toBe(
+      "CRE\n… (13 more characters)",
+    );
+  });
+});
@@ -52,6 +52,7 @@ describe("RLM Feedback Correlation E2E", () => {
     process.env.SAGE_PLUGIN_DRY_RUN = "";
     process.env.SAGE_RLM_FEEDBACK = "1";
     process.env.SAGE_SUGGEST_DEBOUNCE_MS = "10"; // fast debounce for tests
+    process.env.SAGE_PLUGIN_QUEUE = "0"; // keep the real offline queue untouched
 
     $mock = make$();
     const { client: c, appLogCalls: logs } = makeClient();
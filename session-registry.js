@@ -0,0 +1,169 @@
+/**
+ * Per-session state registry for the Sage OpenCode plugin.
+ *
+ * OpenCode runs parent sessions and subagent sessions side by side, so capture,
+ * suggestion correlation and RLM feedback state is kept per `sessionID` instead
+ * of in plugin-global variables. Idle sessions are evicted so long-running
+ * editors don't accumulate state forever.
+ */
+
+import { createPartAssembler } from "./part-assembler.js";
+
+/** Key used for events that arrive before any session is known. */
+export const DEFAULT_SESSION_KEY = "__default__";
+
+/** Max suggestions remembered per session for correlation. */
+export const MAX_SUGGESTION_HISTORY = 10;
+
+/**
+ * Clear the suggestion-correlation history of a session state.
+ */
+export function resetSuggestionState(state) {
+  state.suggestions = [];
+  return state;
+}
+
+/**
+ * Remember a suggestion shown in this session, dropping the oldest beyond
+ * MAX_SUGGESTION_HISTORY. Returns the stored entry, which carries:
+ *   id, timestamp, turn (prompts seen when it was shown),
+ *   key (primary, qualified library/key), text (correlation text),
+ *   results ([{ key, text }] per shown result), shownKeys,
+ *   scores ({ key: best similarity seen so far }),
+ *   resolved (a verdict was recorded), implicitSent (implicit use was credited).
+ */
+export function recordSuggestion(
+  state,
+  { id, timestamp, key, text, results = [], shownKeys = [] },
+) {
+  const entry = {
+    id,
+    timestamp,
+    turn: state.turns,
+    key,
+    text,
+    results,
+    shownKeys,
+    scores: {},
+    resolved: false,
+    implicitSent: false,
+  };
+  state.suggestions.push(entry);
+  if (state.suggestions.length > MAX_SUGGESTION_HISTORY) state.suggestions.shift();
+  return entry;
+}
+
+/** Zeroed token and cost totals. */
+export function emptyUsage() {
+  return {
+    turns: 0,
+    cost: 0,
+    tokens: { input: 0, output: 0, reasoning: 0, cacheRead: 0, cacheWrite: 0 },
+  };
+}
+
+/**
+ * Add one assistant message's usage (`{ cost, tokens }`, unknown values null) to `totals`.
+ * Other totals can be added too; their `turns` carry over.
+ */
+export function addUsage(totals, usage) {
+  totals.turns += usage.turns ?? 1;
+  totals.cost += usage.cost ?? 0;
+  for (const name of Object.keys(totals.tokens)) totals.tokens[name] += usage.tokens?.[name] ?? 0;
+  return totals;
+}
+
+/**
+ * Create a fresh state object for one session.
+ */
+export function createSessionState(id, now = Date.now()) {
+  return resetSuggestionState({
+    id,
+    model: null,
+    providerID: null,
+    agent: null,
+    parentId: null, // parent session for subagents
+    children: new Set(), // subagent session IDs started from this one
+    usage: emptyUsage(), // this session's assistant messages
+    subagentUsage: emptyUsage(), // rolled up from all descendant sessions
+    countedMessages: new Set(), // assistant message IDs already added to usage
+    promptCaptured: false,
+    parts: createPartAssembler(), // streamed parts of the current turn's messages
+    turnMessages: [], // finished assistant messages of the current turn
+    promptAt: null, // when the captured prompt was sent, for latency
+    promptMessageId: null,
+    firstPartAt: null, // first streamed part of the response
+    suggestionLink: null, // suggestion the captured prompt was matched to, if any
+    turns: 0, // user prompts seen; measures the correlation window
+    lastActivity: now,
+  });
+}
+
+/**
+ * Create a registry of session states keyed by session ID.
+ *
+ * Sessions untouched for `idleMs` are evicted on access, and the least
+ * recently used sessions are dropped once more than `maxSessions` are tracked.
+ */
+export function createSessionRegistry({
+  idleMs = 30 * 60_000,
+  maxSessions = 64,
+  now = Date.now,
+} = {}) {
+  // Map iteration order doubles as LRU order: touched sessions are re-inserted at the end.
+  const sessions = new Map();
+
+  const evict = (keep) => {
+    const cutoff = now() - idleMs;
+    const evicted = [];
+    for (const [id, state] of sessions) {
+      if (id !== keep && state.lastActivity < cutoff) {
+        sessions.delete(id);
+        evicted.push(id);
+      }
+    }
+    for (const id of sessions.keys()) {
+      if (sessions.size <= maxSessions) break;
+      if (id === keep) continue;
+      sessions.delete(id);
+      evicted.push(id);
+    }
+    return evicted;
+  };
+
+  return {
+    /** Return the state for `id`, creating it if needed, and mark it active. */
+    get(id) {
+      const key = id || DEFAULT_SESSION_KEY;
+      const state = sessions.get(key) ?? createSessionState(key, now());
+      sessions.delete(key);
+      state.lastActivity = now();
+      sessions.set(key, state);
+      evict(key);
+      return state;
+    },
+    /** Return the state for `id` without creating or touching it. */
+    peek(id) {
+      return sessions.get(id || DEFAULT_SESSION_KEY) ?? null;
+    },
+    /** Replace the state for `id` with a fresh one. */
+    reset(id) {
+      const key = id || DEFAULT_SESSION_KEY;
+      sessions.delete(key);
+      return this.get(key);
+    },
+    delete(id) {
+      return sessions.delete(id || DEFAULT_SESSION_KEY);
+    },
+    /** Evict idle sessions now; returns the evicted IDs. */
+    evictIdle() {
+      return evict(null);
+    },
+    get size() {
+      return sessions.size;
+    },
+    ids() {
+      return Array.from(sessions.keys());
+    },
+  };
+}
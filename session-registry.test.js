@@ -0,0 +1,127 @@
+import { describe, expect, it } from "bun:test";
+import {
+  DEFAULT_SESSION_KEY,
+  MAX_SUGGESTION_HISTORY,
+  addUsage,
+  createSessionRegistry,
+  emptyUsage,
+  recordSuggestion,
+  resetSuggestionState,
+} from "./session-registry.js";
+
+describe("createSessionRegistry", () => {
+  const makeClock = (start = 1_000) => {
+    let t = start;
+    const now = () => t;
+    now.advance = (ms) => {
+      t += ms;
+    };
+    return now;
+  };
+
+  it("creates independent state per session ID", () => {
+    const sessions = createSessionRegistry();
+    const a = sessions.get("a");
+    const b = sessions.get("b");
+
+    a.promptCaptured = true;
+    a.parts.update({ type: "text", text: "from a" });
+
+    expect(b.promptCaptured).toBe(false);
+    expect(b.parts.size).toBe(0);
+    expect(sessions.get("a")).toBe(a);
+    expect(sessions.size).toBe(2);
+  });
+
+  it("falls back to the default key when no session ID is known", () => {
+    const sessions = createSessionRegistry();
+    expect(sessions.get(null).id).toBe(DEFAULT_SESSION_KEY);
+    expect(sessions.peek(undefined)).toBe(sessions.get(null));
+  });
+
+  it("peek does not create sessions", () => {
+    const sessions = createSessionRegistry();
+    expect(sessions.peek("missing")).toBeNull();
+    expect(sessions.size).toBe(0);
+  });
+
+  it("reset replaces state with a fresh one", () => {
+    const sessions = createSessionRegistry();
+    const before = sessions.get("a");
+    before.promptCaptured = true;
+
+    const after = sessions.reset("a");
+    expect(after).not.toBe(before);
+    expect(after.promptCaptured).toBe(false);
+  });
+
+  it("evicts sessions idle longer than idleMs", () => {
+    const now = makeClock();
+    const sessions = createSessionRegistry({ idleMs: 100, now });
+    sessions.get("old");
+    now.advance(50);
+    sessions.get("recent");
+    now.advance(60);
+
+    // Accessing any session triggers eviction of idle ones
+    sessions.get("recent");
+    expect(sessions.ids()).toEqual(["recent"]);
+  });
+
+  it("drops least recently used sessions beyond maxSessions", () => {
+    const sessions = createSessionRegistry({ maxSessions: 2 });
+    sessions.get("a");
+    sessions.get("b");
+    sessions.get("a"); // touch a so b becomes LRU
+    sessions.get("c");
+
+    expect(sessions.ids().sort()).toEqual(["a", "c"]);
+  });
+
+  it("evictIdle returns evicted IDs", () => {
+    const now = makeClock();
+    const sessions = createSessionRegistry({ idleMs: 10, now });
+    sessions.get("a");
+    now.advance(20);
+    expect(sessions.evictIdle()).toEqual(["a"]);
+    expect(sessions.size).toBe(0);
+  });
+
+  it("resetSuggestionState clears the suggestion history", () => {
+    const state = createSessionRegistry().get("a");
+    recordSuggestion(state, { id: "id", timestamp: 1, key: "lib/key", text: "text" });
+
+    resetSuggestionState(state);
+    expect(state.suggestions).toEqual([]);
+  });
+
+  it("recordSuggestion stamps the turn and keeps a bounded history", () => {
+    const state = createSessionRegistry().get("a");
+    state.turns = 2;
+    const entry = recordSuggestion(state, {
+      id: "s0",
+      timestamp: 5,
+      key: "lib/a",
+      text: "A",
+      shownKeys: ["lib/a"],
+    });
+    expect(entry).toMatchObject({ id: "s0", turn: 2, resolved: false, implicitSent: false });
+
+    for (let i = 1; i <= MAX_SUGGESTION_HISTORY; i++) {
+      recordSuggestion(state, { id: `s${i}`, timestamp: 5 + i, key: "lib/a", text: "A" });
+    }
+    expect(state.suggestions).toHaveLength(MAX_SUGGESTION_HISTORY);
+    expect(state.suggestions[0].id).toBe("s1");
+  });
+
+  it("addUsage sums cost and tokens, counting unknown values as zero", () => {
+    const totals = emptyUsage();
+    addUsage(totals, { cost: 0.5, tokens: { input: 10, output: 5, cacheRead: 3 } });
+    addUsage(totals, { cost: null, tokens: { input: 1, output: null, reasoning: 2 } });
+    expect(totals).toEqual({
+      turns: 2,
+      cost: 0.5,
+      tokens: { input: 11, output: 5, reasoning: 2, cacheRead: 3, cacheWrite: 0 },
+    });
+  });
+});
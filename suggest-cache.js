@@ -0,0 +1,108 @@
+/**
+ * LRU + TTL cache for `sage suggest skill` output.
+ *
+ * Keys combine the normalized query with the workspace and result limit, so prompts that
+ * only differ in whitespace or case share an entry. The whole cache is dropped when the
+ * installed libraries change (see `librariesVersion`), since any result may be stale then.
+ */
+
+import { readdirSync, statSync } from "node:fs";
+import { join } from "node:path";
+
+/** Collapse whitespace and case so trivially different prompts share a cache entry. */
+export function normalizePrompt(text) {
+  return String(text ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/** Cache key for a suggest request. */
+export function suggestCacheKey({ prompt, directory, limit, provision }) {
+  return JSON.stringify([normalizePrompt(prompt), directory ?? "", limit, Boolean(provision)]);
+}
+
+/**
+ * Fingerprint of the library manifests in `dir` (names, sizes and mtimes). Changes when a
+ * library is installed, removed or edited; "" when the directory doesn't exist.
+ */
+export function librariesVersion(dir) {
+  let names;
+  try {
+    names = readdirSync(dir).sort();
+  } catch {
+    return "";
+  }
+  const parts = [];
+  for (const name of names) {
+    try {
+      const st = statSync(join(dir, name));
+      parts.push(`${name}:${st.size}:${st.mtimeMs}`);
+    } catch {
+      // Removed between readdir and stat; the next lookup sees the new listing.
+    }
+  }
+  return parts.join("|");
+}
+
+/**
+ * Create a cache holding up to `maxEntries` outputs for `ttlMs` each. `version()` is
+ * checked on every lookup; when it changes, all entries are dropped.
+ *
+ * `stats()` returns `{ hits, misses, size, invalidations }` for logging.
+ */
+export function createSuggestCache({
+  maxEntries = 50,
+  ttlMs = 5 * 60_000,
+  version = () => "",
+  now = Date.now,
+} = {}) {
+  // Map iteration order doubles as LRU order: hits are re-inserted at the end.
+  const entries = new Map();
+  let currentVersion = version();
+  let hits = 0;
+  let misses = 0;
+  let invalidations = 0;
+
+  const checkVersion = () => {
+    const v = version();
+    if (v === currentVersion) return;
+    currentVersion = v;
+    if (entries.size > 0) invalidations += 1;
+    entries.clear();
+  };
+
+  return {
+    /** Cached output for `key`, or undefined (counted as a miss). */
+    get(key) {
+      checkVersion();
+      const entry = entries.get(key);
+      if (!entry || now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        misses += 1;
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      hits += 1;
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now() });
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(oldest);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    stats() {
+      return { hits, misses, size: entries.size, invalidations };
+    },
+  };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "bun:test";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  createSuggestCache,
+  librariesVersion,
+  normalizePrompt,
+  suggestCacheKey,
+} from "./suggest-cache.js";
+
+describe("suggestCacheKey", () => {
+  it("ignores whitespace and case in the prompt", () => {
+    expect(normalizePrompt("  Fix   the\nBuild ")).toBe("fix the build");
+    const key = (prompt, extra = {}) =>
+      suggestCacheKey({ prompt, directory: "/a", limit: 3, provision: true, ...extra });
+    expect(key("fix the build ")).toBe(key("Fix  the build"));
+    expect(key("fix the build")).not.toBe(key("fix the build", { directory: "/b" }));
+    expect(key("fix the build")).not.toBe(key("fix the build", { limit: 5 }));
+  });
+});
+
+describe("createSuggestCache", () => {
+  it("counts hits and misses and expires entries after the TTL", () => {
+    let t = 0;
+    const cache = createSuggestCache({ ttlMs: 100, now: () => t });
+    expect(cache.get("a")).toBeUndefined();
+    cache.set("a", "out");
+    expect(cache.get("a")).toBe("out");
+    t = 101;
+    expect(cache.get("a")).toBeUndefined();
+    expect(cache.stats()).toEqual({ hits: 1, misses: 2, size: 0, invalidations: 0 });
+  });
+
+  it("evicts the least recently used entry", () => {
+    const cache = createSuggestCache({ maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("a")).toBe(1);
+    expect(cache.get("c")).toBe(3);
+  });
+
+  it("drops everything when the version changes", () => {
+    let version = "v1";
+    const cache = createSuggestCache({ version: () => version });
+    cache.set("a", 1);
+    expect(cache.get("a")).toBe(1);
+    version = "v2";
+    expect(cache.get("a")).toBeUndefined();
+    expect(cache.stats().invalidations).toBe(1);
+  });
+});
+
+describe("librariesVersion", () => {
+  it("changes when a manifest is added or edited", () => {
+    const dir = mkdtempSync(join(tmpdir(), "sage-libs-"));
+    expect(librariesVersion(join(dir, "missing"))).toBe("");
+    const empty = librariesVersion(dir);
+    writeFileSync(join(dir, "a.json"), "{}");
+    const one = librariesVersion(dir);
+    expect(one).not.toBe(empty);
+    writeFileSync(join(dir, "a.json"), '{"prompts":[]}');
+    expect(librariesVersion(dir)).not.toBe(one);
+  });
+});
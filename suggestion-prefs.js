@@ -0,0 +1,99 @@
+/**
+ * Persisted suggestion preferences set with `/sage hide|pin` (see feedback-commands.js).
+ *
+ * Stored as `{ hidden: [key], pinned: [key] }` in `prefs.json` under the plugin data
+ * directory. Keys are kept as typed or resolved (usually `library/key`); a bare key
+ * matches that key in any library.
+ */
+
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { keyMatches } from "./feedback-commands.js";
+import { createLock, writeFileAtomic } from "./file-utils.js";
+import { pluginDataDir } from "./paths.js";
+
+/** Default preferences location under the Sage data directory. */
+export function defaultPrefsPath(env = process.env) {
+  return join(pluginDataDir(env), "prefs.json");
+}
+
+const qualifiedKey = (r) => (r.library ? `${r.library}/${r.key}` : r.key);
+
+/**
+ * Create a preferences store backed by the JSON file at `path`. Call `load()` once before
+ * use; updates re-read the file first so several OpenCode instances don't drop each
+ * other's changes.
+ */
+export function createSuggestionPrefs({ path = defaultPrefsPath() } = {}) {
+  let hidden = new Set();
+  let pinned = new Set();
+  const locked = createLock();
+
+  const read = async () => {
+    try {
+      const data = JSON.parse(await readFile(path, "utf8"));
+      hidden = new Set(Array.isArray(data.hidden) ? data.hidden : []);
+      pinned = new Set(Array.isArray(data.pinned) ? data.pinned : []);
+    } catch (e) {
+      if (e?.code !== "ENOENT" && !(e instanceof SyntaxError)) throw e;
+    }
+  };
+
+  const write = () => {
+    const data = { hidden: [...hidden], pinned: [...pinned] };
+    return writeFileAtomic(path, `${JSON.stringify(data, null, 2)}\n`);
+  };
+
+  const update = (fn) =>
+    locked(async () => {
+      await read();
+      const changed = fn();
+      if (changed) await write();
+      return changed;
+    });
+
+  const has = (set, result) => {
+    const key = qualifiedKey(result);
+    for (const k of set) if (keyMatches(k, key)) return true;
+    return false;
+  };
+
+  return {
+    path,
+
+    load() {
+      return locked(read);
+    },
+
+    /** The following update the file and resolve to whether anything changed. */
+    hide(key) {
+      return update(() => !hidden.has(key) && Boolean(hidden.add(key)));
+    },
+    unhide(key) {
+      return update(() => hidden.delete(key));
+    },
+    pin(key) {
+      return update(() => !pinned.has(key) && Boolean(pinned.add(key)));
+    },
+    unpin(key) {
+      return update(() => pinned.delete(key));
+    },
+
+    /** Current `{ hidden, pinned }` key lists. */
+    snapshot() {
+      return { hidden: [...hidden], pinned: [...pinned] };
+    },
+
+    /**
+     * Drop hidden results and move pinned ones to the front (keeping the ranked order
+     * otherwise). `results` are suggest results (`{ key, library? }`).
+     */
+    apply(results) {
+      const visible = results.filter((r) => !r.key || !has(hidden, r));
+      return [
+        ...visible.filter((r) => r.key && has(pinned, r)),
+        ...visible.filter((r) => !r.key || !has(pinned, r)),
+      ];
+    },
+  };
+}
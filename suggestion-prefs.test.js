@@ -0,0 +1,65 @@
+import { describe, expect, it } from "bun:test";
+import { mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createSuggestionPrefs, defaultPrefsPath } from "./suggestion-prefs.js";
+
+const tempPath = () => join(mkdtempSync(join(tmpdir(), "sage-prefs-")), "nested", "prefs.json");
+
+describe("createSuggestionPrefs", () => {
+  it("defaults to the plugin data directory", () => {
+    expect(defaultPrefsPath({ XDG_DATA_HOME: "/data" })).toBe(
+      "/data/sage/opencode-plugin/prefs.json",
+    );
+  });
+
+  it("persists hidden and pinned keys", async () => {
+    const path = tempPath();
+    const prefs = createSuggestionPrefs({ path });
+    await prefs.load();
+    expect(await prefs.hide("lib/a")).toBe(true);
+    expect(await prefs.hide("lib/a")).toBe(false);
+    expect(await prefs.pin("b")).toBe(true);
+    expect(JSON.parse(readFileSync(path, "utf8"))).toEqual({ hidden: ["lib/a"], pinned: ["b"] });
+
+    const other = createSuggestionPrefs({ path });
+    await other.load();
+    expect(other.snapshot()).toEqual({ hidden: ["lib/a"], pinned: ["b"] });
+    expect(await other.unhide("lib/a")).toBe(true);
+    expect(await other.unpin("missing")).toBe(false);
+
+    // Updates re-read the file, so the first store sees the other's change
+    await prefs.pin("lib/c");
+    expect(prefs.snapshot()).toEqual({ hidden: [], pinned: ["b", "lib/c"] });
+  });
+
+  it("treats a missing or corrupt file as empty", async () => {
+    const path = tempPath();
+    const prefs = createSuggestionPrefs({ path });
+    await prefs.load();
+    expect(prefs.snapshot()).toEqual({ hidden: [], pinned: [] });
+
+    const corrupt = join(mkdtempSync(join(tmpdir(), "sage-prefs-")), "prefs.json");
+    writeFileSync(corrupt, "{not json");
+    const broken = createSuggestionPrefs({ path: corrupt });
+    await broken.load();
+    expect(broken.snapshot()).toEqual({ hidden: [], pinned: [] });
+  });
+
+  it("filters hidden results and lists pinned ones first", async () => {
+    const prefs = createSuggestionPrefs({ path: tempPath() });
+    await prefs.hide("lib/a");
+    await prefs.pin("c");
+    const results = [
+      { key: "a", library: "lib" },
+      { key: "a", library: "other" },
+      { key: "b", library: "lib" },
+      { key: "c", library: "lib" },
+    ];
+    expect(prefs.apply(results).map((r) => `${r.library}/${r.key}`)).toEqual([
+      "lib/c",
+      "other/a",
+      "lib/b",
+    ]);
+  });
+});
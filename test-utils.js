@@ -6,89 +6,16 @@
  */
 
 import { mkdtempSync, existsSync } from "node:fs";
+import { createMcpClient, initializeMcp } from "./mcp-client.js";
+
+// The JSON-RPC client lives in the plugin runtime; re-exported for existing tests.
+export { callTool, createMcpClient } from "./mcp-client.js";
 
 /** Resolve the sage binary path. */
 export function resolveSageBin() {
   return process.env.SAGE_BIN || new URL("../target/debug/sage", import.meta.url).pathname;
 }
 
-/**
- * Create an MCP JSON-RPC client over a Bun subprocess stdio.
- */
-export function createMcpClient(proc) {
-  const decoder = new TextDecoder();
-  const encoder = new TextEncoder();
-  const pending = new Map();
-
-  let closed = false;
-  let closeErr;
-  let buf = "";
-
-  (async () => {
-    try {
-      for await (const chunk of proc.stdout) {
-        buf += decoder.decode(chunk);
-        const lines = buf.split("\n");
-        buf = lines.pop() ?? "";
-
-        for (const line of lines) {
-          if (!line.trim()) continue;
-
-          let msg;
-          try {
-            msg = JSON.parse(line);
-          } catch {
-            continue;
-          }
-
-          if (msg && msg.id != null) {
-            const key = String(msg.id);
-            const waiter = pending.get(key);
-            if (waiter) {
-              pending.delete(key);
-              if (msg.error) waiter.reject(new Error(msg.error.message || "MCP error"));
-              else waiter.resolve(msg.result);
-            }
-          }
-        }
-      }
-      closed = true;
-    } catch (e) {
-      closed = true;
-      closeErr = e;
-    } finally {
-      const stderr = await new Response(proc.stderr).text().catch(() => "");
-      for (const { reject } of pending.values()) {
-        reject(
-          new Error(
-            `MCP process ended before response. stderr:\n${stderr || "<empty>"}${closeErr ? `\nstdout reader error: ${closeErr}` : ""}`,
-          ),
-        );
-      }
-      pending.clear();
-    }
-  })();
-
-  return {
-    request(method, params) {
-      if (closed) {
-        throw new Error("MCP client is closed");
-      }
-      const id = `${Date.now()}-${Math.random()}`;
-      proc.stdin.write(
-        encoder.encode(`${JSON.stringify({ jsonrpc: "2.0", id, method, params })}\n`),
-      );
-      return new Promise((resolve, reject) => {
-        pending.set(String(id), { resolve, reject });
-      });
-    },
-    notify(method, params) {
-      if (closed) return;
-      proc.stdin.write(encoder.encode(`${JSON.stringify({ jsonrpc: "2.0", method, params })}\n`));
-    },
-  };
-}
-
 /**
  * Create a temporary isolated HOME directory for test isolation.
  *
@@ -179,47 +106,11 @@ export async function spawnSageMcp(sageBin, tmpHome) {
   const client = createMcpClient(proc);
 
   // MCP handshake
-  const init = await client.request("initialize", {
-    protocolVersion: "2024-11-05",
-    capabilities: {},
-    clientInfo: { name: "sage-e2e-test", version: "0.0.0" },
-  });
-  client.notify("notifications/initialized", {});
+  const init = await initializeMcp(client, { name: "sage-e2e-test", version: "0.0.0" });
 
   return { proc, client, env, init };
 }
 
-/**
- * Call an MCP tool by name and return the result.
- *
- * Returns { raw, text, json, isError } where:
- * - raw: the full MCP result object
- * - text: concatenated text content
- * - json: parsed JSON if text is valid JSON, otherwise null
- * - isError: whether the MCP response flagged an error
- */
-export async function callTool(client, name, args = {}) {
-  const result = await client.request("tools/call", {
-    name,
-    arguments: args,
-  });
-
-  const text =
-    result?.content
-      ?.filter((c) => c.type === "text")
-      .map((c) => c.text)
-      .join("\n") ?? "";
-
-  let json = null;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    // not JSON
-  }
-
-  return { raw: result, text, json, isError: result?.isError ?? false };
-}
-
 /**
  * Inject a capture (prompt + response) via the sage CLI.
  * Uses `sage capture hook prompt` and `sage capture hook response` subcommands.
@@ -0,0 +1,327 @@
+/**
+ * Transports for running sage commands from the plugin.
+ *
+ * - `cli`: spawn the sage binary per command (OpenCode's `$` helper, else Bun.spawn).
+ * - `socket`: send the command to the running daemon over its Unix socket, reusing one
+ *   connection. Framing is newline-delimited JSON-RPC 2.0, the same as `sage mcp start`.
+ *   Commands the daemon doesn't serve, or all of them once the socket never answered,
+ *   go through the CLI.
+ * - `auto`: like `socket`, and also use the CLI while the daemon isn't listening.
+ *
+ * Every transport exposes `exec(args, env, { signal }) => Promise<string>` resolving to the
+ * command's stdout, so callers don't care which one ran it. Aborting `signal` cancels the
+ * command where the transport can (Bun.spawn kills the process; socket requests are dropped).
+ */
+
+import { existsSync } from "node:fs";
+import { createConnection } from "node:net";
+import { abortError } from "./exec.js";
+import { sageSocketCandidates } from "./paths.js";
+
+/** Error codes meaning "nobody is listening" rather than "the daemon failed". */
+const UNREACHABLE_CODES = new Set(["ENOENT", "ECONNREFUSED", "ECONNRESET", "EPIPE", "ENOTSOCK"]);
+
+/** JSON-RPC "method not found". */
+const METHOD_NOT_FOUND = -32601;
+
+/**
+ * Commands the daemon serves directly, keyed by their leading CLI words.
+ * Params are `{ args, env }` with `args` being the remaining positional arguments/flags.
+ * Anything not listed here always goes through the CLI.
+ */
+export const SOCKET_ROUTES = [
+  { command: ["capture", "hook", "prompt"], method: "capture.hook.prompt" },
+  { command: ["capture", "hook", "response"], method: "capture.hook.response" },
+  { command: ["suggest", "prompt", "capture"], method: "suggest.prompt.capture" },
+  { command: ["suggest", "prompt", "feedback"], method: "suggest.prompt.feedback" },
+  { command: ["suggest", "feedback"], method: "suggest.feedback" },
+  { command: ["suggest", "skill"], method: "suggest.skill" },
+];
+
+/** Find the socket route for `args`, or null if the command is CLI-only. */
+export function resolveSocketRoute(args) {
+  for (const route of SOCKET_ROUTES) {
+    if (route.command.every((word, i) => args[i] === word)) {
+      return { method: route.method, args: args.slice(route.command.length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Name the subcommand of `args` for logs (e.g. "suggest skill"), leaving out positional
+ * arguments, which carry prompt text.
+ */
+export function commandName(args) {
+  const route = resolveSocketRoute(args);
+  return route ? route.method.replaceAll(".", " ") : args.slice(0, 2).join(" ");
+}
+
+/** Return the first existing daemon socket path, or null. */
+export function findDaemonSocket(env = process.env) {
+  return sageSocketCandidates(env).find((p) => existsSync(p)) ?? null;
+}
+
+/**
+ * Spawn the sage CLI for each command.
+ *
+ * Failures reject with the process's `exitCode` and `stderr` attached (spawn errors keep
+ * their errno `code`), for `classifySageFailure`.
+ */
+export function createCliTransport({ $, sageBin = "sage" } = {}) {
+  return {
+    name: "cli",
+    async exec(args, env = {}, { signal } = {}) {
+      if ($) {
+        // Use OpenCode's $ shell helper for portability (it can't be killed; callers
+        // stop waiting on abort via runWithDeadline)
+        const cmd = [sageBin, ...args].map((a) => `'${a.replace(/'/g, "'\\''")}'`).join(" ");
+        try {
+          const result = await $({ env })`${cmd}`;
+          return (result?.stdout ?? result ?? "").toString().trim();
+        } catch (e) {
+          // Bun's ShellError carries exitCode and stderr as a Buffer
+          if (e && typeof e === "object" && e.stderr != null) e.stderr = e.stderr.toString();
+          throw e;
+        }
+      }
+      // Fallback to Bun.spawn if $ not available
+      if (typeof Bun !== "undefined") {
+        const proc = Bun.spawn([sageBin, ...args], {
+          env: { ...process.env, ...env },
+          stdout: "pipe",
+          stderr: "pipe",
+          signal,
+        });
+        const [stdout, stderr, exitCode] = await Promise.all([
+          new Response(proc.stdout).text(),
+          new Response(proc.stderr).text(),
+          proc.exited,
+        ]);
+        if (exitCode !== 0) {
+          const err = new Error(`sage exited with code ${exitCode}`);
+          err.exitCode = exitCode;
+          err.stderr = stderr;
+          throw err;
+        }
+        return stdout.trim();
+      }
+      return "";
+    },
+    close() {},
+  };
+}
+
+/**
+ * Talk to the daemon over its Unix socket, multiplexing requests on one connection.
+ *
+ * Rejections carry `err.unreachable = true` when the socket could not be reached and
+ * `err.unsupported = true` when the daemon does not know the method, so `auto` mode
+ * can fall back to the CLI safely (the daemon never saw the request). A request that
+ * times out before the connection ever answered is also `unreachable`, with
+ * `err.unanswered = true`: whatever listens there isn't serving requests, so the
+ * connection is dropped.
+ */
+export function createSocketTransport({
+  socketPath = null,
+  timeoutMs = 5000,
+  env: lookupEnv = process.env,
+  connect = createConnection,
+} = {}) {
+  const pending = new Map();
+  let socket = null;
+  let connecting = null;
+  let buf = "";
+  let seq = 0;
+  let answered = false; // the current connection has replied at least once
+
+  const failAll = (err) => {
+    for (const waiter of pending.values()) waiter.reject(err);
+    pending.clear();
+  };
+
+  const onData = (chunk) => {
+    buf += chunk.toString();
+    const lines = buf.split("\n");
+    buf = lines.pop() ?? "";
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let msg;
+      try {
+        msg = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const waiter = msg?.id != null ? pending.get(String(msg.id)) : null;
+      if (!waiter) continue;
+      answered = true;
+      pending.delete(String(msg.id));
+      if (msg.error) {
+        const err = new Error(msg.error.message || "sage daemon error");
+        err.code = msg.error.code;
+        err.unsupported = msg.error.code === METHOD_NOT_FOUND;
+        waiter.reject(err);
+      } else {
+        waiter.resolve(msg.result);
+      }
+    }
+  };
+
+  const open = () => {
+    if (socket) return Promise.resolve(socket);
+    if (connecting) return connecting;
+
+    const path = socketPath ?? findDaemonSocket(lookupEnv);
+    if (!path) {
+      const err = new Error("sage daemon socket not found");
+      err.code = "ENOENT";
+      err.unreachable = true;
+      return Promise.reject(err);
+    }
+
+    connecting = new Promise((resolve, reject) => {
+      const conn = connect(path);
+      conn.once("connect", () => {
+        // Reused across commands; never keep the host process alive on its own.
+        conn.unref?.();
+        socket = conn;
+        answered = false;
+        connecting = null;
+        resolve(conn);
+      });
+      conn.on("data", onData);
+      conn.on("error", (e) => {
+        // Only a failed connect is safe to retry elsewhere; in-flight requests may
+        // already have reached the daemon.
+        if (connecting) {
+          e.unreachable = UNREACHABLE_CODES.has(e.code);
+          connecting = null;
+          reject(e);
+        }
+        failAll(e);
+      });
+      conn.on("close", () => {
+        socket = null;
+        buf = "";
+        const err = new Error("sage daemon socket closed");
+        err.code = "ECONNRESET";
+        failAll(err);
+      });
+    });
+    return connecting;
+  };
+
+  return {
+    name: "socket",
+    async exec(args, env = {}, { signal } = {}) {
+      const route = resolveSocketRoute(args);
+      if (!route) {
+        const err = new Error(`no socket route for: sage ${args.slice(0, 3).join(" ")}`);
+        err.unsupported = true;
+        throw err;
+      }
+
+      const conn = await open();
+      seq += 1;
+      const id = String(seq);
+      const result = await new Promise((resolve, reject) => {
+        let timer = null;
+        const settle = (fn) => (value) => {
+          clearTimeout(timer);
+          signal?.removeEventListener("abort", onAbort);
+          fn(value);
+        };
+        const onAbort = () => {
+          pending.delete(id);
+          settle(reject)(abortError(signal.reason));
+        };
+        timer = setTimeout(() => {
+          pending.delete(id);
+          const err = new Error(`sage daemon request timed out after ${timeoutMs}ms`);
+          err.code = "ETIMEDOUT";
+          if (!answered) {
+            err.unreachable = true;
+            err.unanswered = true;
+            // Requests still waiting on this connection won't be answered either.
+            failAll(err);
+            if (socket === conn) socket = null;
+            conn.destroy();
+          }
+          settle(reject)(err);
+        }, timeoutMs);
+        if (signal?.aborted) return onAbort();
+        signal?.addEventListener("abort", onAbort, { once: true });
+        pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+        conn.write(
+          `${JSON.stringify({ jsonrpc: "2.0", id, method: route.method, params: { args: route.args, env } })}\n`,
+        );
+      });
+
+      if (result == null) return "";
+      return (typeof result === "string" ? result : JSON.stringify(result)).trim();
+    },
+    close() {
+      socket?.end();
+      socket = null;
+    },
+  };
+}
+
+/**
+ * Build the transport selected by `mode` ("cli", "socket" or "auto").
+ *
+ * In `socket` and `auto` mode commands go over the socket and fall back to the CLI when
+ * the daemon doesn't serve the command; `auto` also falls back while it is unreachable,
+ * whereas `socket` reports that as a daemon outage. Routes the daemon rejects as unknown
+ * are remembered so they aren't retried over the socket, and a socket that never
+ * answered isn't used again.
+ */
+export function createTransport({
+  mode = "cli",
+  $,
+  sageBin,
+  socketPath,
+  timeoutMs,
+  env,
+  log = async () => {},
+} = {}) {
+  const cli = createCliTransport({ $, sageBin });
+  if (mode !== "socket" && mode !== "auto") return cli;
+
+  const socket = createSocketTransport({ socketPath, timeoutMs, env });
+  // The daemon never saw these requests, so the CLI can run them instead.
+  const fallsBack = (e) => e?.unsupported || e?.unanswered || (mode === "auto" && e?.unreachable);
+
+  const cliOnly = new Set();
+  let socketUnusable = false;
+  return {
+    name: mode,
+    async exec(args, execEnv = {}, opts = {}) {
+      const route = resolveSocketRoute(args);
+      if (!route || socketUnusable || cliOnly.has(route.method)) {
+        return cli.exec(args, execEnv, opts);
+      }
+      try {
+        return await socket.exec(args, execEnv, opts);
+      } catch (e) {
+        if (!fallsBack(e)) throw e;
+        if (e.unsupported) cliOnly.add(route.method);
+        if (e.unanswered && !socketUnusable) {
+          socketUnusable = true;
+          socket.close();
+          await log("warn", "sage daemon socket never answered, using the CLI from now on", {
+            error: String(e),
+          });
+        }
+        await log("debug", "sage socket unavailable, falling back to CLI", {
+          method: route.method,
+          error: String(e),
+        });
+        return cli.exec(args, execEnv, opts);
+      }
+    },
+    close() {
+      socket.close();
+    },
+  };
+}
@@ -0,0 +1,244 @@
+import { afterEach, describe, expect, it } from "bun:test";
+import { mkdtempSync } from "node:fs";
+import { createServer } from "node:net";
+import { join } from "node:path";
+import {
+  createCliTransport,
+  createSocketTransport,
+  createTransport,
+  resolveSocketRoute,
+} from "./transport.js";
+
+// Minimal newline-delimited JSON-RPC server standing in for the sage daemon.
+const startFakeDaemon = async (handler) => {
+  // Short path to stay under the Unix socket length limit
+  const path = join(mkdtempSync("/tmp/st-"), "sage.sock");
+  const requests = [];
+  let connections = 0;
+  const server = createServer((conn) => {
+    connections += 1;
+    let buf = "";
+    conn.on("data", (chunk) => {
+      buf += chunk.toString();
+      const lines = buf.split("\n");
+      buf = lines.pop() ?? "";
+      for (const line of lines) {
+        const req = JSON.parse(line);
+        requests.push(req);
+        const reply = handler(req);
+        if (reply !== undefined)
+          conn.write(`${JSON.stringify({ jsonrpc: "2.0", id: req.id, ...reply })}\n`);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(path, resolve));
+  return {
+    path,
+    requests,
+    connections: () => connections,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+const make$ = () => {
+  const calls = [];
+  const shell =
+    (opts) =>
+    (strings, ...values) => {
+      const cmd = strings.reduce((acc, str, i) => acc + str + (values[i] ?? ""), "");
+      calls.push({ cmd, env: opts?.env });
+      return { stdout: "from-cli\n" };
+    };
+  shell.calls = calls;
+  return shell;
+};
+
+describe("transport", () => {
+  const cleanups = [];
+  afterEach(async () => {
+    while (cleanups.length) await cleanups.pop()();
+  });
+
+  it("resolveSocketRoute maps CLI words to daemon methods", () => {
+    expect(resolveSocketRoute(["capture", "hook", "prompt"])).toEqual({
+      method: "capture.hook.prompt",
+      args: [],
+    });
+    expect(resolveSocketRoute(["suggest", "feedback", "lib/key", "entry"])).toEqual({
+      method: "suggest.feedback",
+      args: ["lib/key", "entry"],
+    });
+    expect(resolveSocketRoute(["mcp", "start"])).toBeNull();
+  });
+
+  it("cli transport quotes args and passes env through $", async () => {
+    const $mock = make$();
+    const cli = createCliTransport({ $: $mock, sageBin: "sage" });
+    const out = await cli.exec(["suggest", "skill", "it's"], { SAGE_SOURCE: "opencode" });
+
+    expect(out).toBe("from-cli");
+    expect($mock.calls[0].cmd).toBe("'sage' 'suggest' 'skill' 'it'\\''s'");
+    expect($mock.calls[0].env.SAGE_SOURCE).toBe("opencode");
+  });
+
+  it("cli transport without $ reports exit code and stderr", async () => {
+    const cli = createCliTransport({ sageBin: "/bin/sh" });
+    const err = await cli
+      .exec(["-c", "echo 'error: unexpected argument' >&2; exit 2"])
+      .catch((e) => e);
+
+    expect(err.exitCode).toBe(2);
+    expect(err.stderr).toContain("unexpected argument");
+  });
+
+  it("cli transport without $ keeps the spawn errno for a missing binary", async () => {
+    const cli = createCliTransport({ sageBin: "/nonexistent/sage" });
+    const err = await cli.exec(["capture", "hook", "prompt"]).catch((e) => e);
+    expect(err.code).toBe("ENOENT");
+  });
+
+  it("socket transport reuses one connection for multiple requests", async () => {
+    const daemon = await startFakeDaemon(() => ({ result: { ok: true } }));
+    const socket = createSocketTransport({ socketPath: daemon.path });
+    cleanups.push(daemon.close, async () => socket.close());
+
+    const out = await socket.exec(["suggest", "skill", "query"], { SAGE_SOURCE: "opencode" });
+    await socket.exec(["capture", "hook", "prompt"], { PROMPT: "hi" });
+
+    expect(JSON.parse(out)).toEqual({ ok: true });
+    expect(daemon.connections()).toBe(1);
+    expect(daemon.requests.map((r) => r.method)).toEqual(["suggest.skill", "capture.hook.prompt"]);
+    expect(daemon.requests[1].params).toEqual({ args: [], env: { PROMPT: "hi" } });
+  });
+
+  it("socket transport times out unanswered requests", async () => {
+    const daemon = await startFakeDaemon(() => undefined);
+    const socket = createSocketTransport({ socketPath: daemon.path, timeoutMs: 20 });
+    cleanups.push(daemon.close, async () => socket.close());
+
+    await expect(socket.exec(["capture", "hook", "prompt"])).rejects.toThrow(/timed out/);
+  });
+
+  it("auto falls back to the CLI when the socket is missing", async () => {
+    const $mock = make$();
+    const transport = createTransport({
+      mode: "auto",
+      $: $mock,
+      socketPath: "/tmp/definitely-missing-sage.sock",
+    });
+    cleanups.push(async () => transport.close());
+
+    expect(await transport.exec(["capture", "hook", "prompt"])).toBe("from-cli");
+    expect($mock.calls.length).toBe(1);
+  });
+
+  it("auto remembers methods the daemon does not serve", async () => {
+    const daemon = await startFakeDaemon(() => ({
+      error: { code: -32601, message: "method not found" },
+    }));
+    const $mock = make$();
+    const transport = createTransport({ mode: "auto", $: $mock, socketPath: daemon.path });
+    cleanups.push(daemon.close, async () => transport.close());
+
+    await transport.exec(["suggest", "feedback", "k", "entry"]);
+    await transport.exec(["suggest", "feedback", "k", "entry"]);
+
+    expect(daemon.requests.length).toBe(1);
+    expect($mock.calls.length).toBe(2);
+  });
+
+  it("auto surfaces daemon errors instead of re-running via the CLI", async () => {
+    const daemon = await startFakeDaemon(() => ({ error: { code: 1, message: "bad args" } }));
+    const $mock = make$();
+    const transport = createTransport({ mode: "auto", $: $mock, socketPath: daemon.path });
+    cleanups.push(daemon.close, async () => transport.close());
+
+    await expect(transport.exec(["suggest", "skill", "x"])).rejects.toThrow("bad args");
+    expect($mock.calls.length).toBe(0);
+  });
+
+  it("auto falls back to the CLI for good when the socket never answers", async () => {
+    const daemon = await startFakeDaemon(() => undefined);
+    const $mock = make$();
+    const logs = [];
+    const transport = createTransport({
+      mode: "auto",
+      $: $mock,
+      socketPath: daemon.path,
+      timeoutMs: 20,
+      log: async (level, message) => logs.push({ level, message }),
+    });
+    cleanups.push(daemon.close, async () => transport.close());
+
+    const outputs = await Promise.all([
+      transport.exec(["capture", "hook", "prompt"]),
+      transport.exec(["capture", "hook", "response"]),
+    ]);
+    expect(outputs).toEqual(["from-cli", "from-cli"]);
+    expect(await transport.exec(["capture", "hook", "prompt"])).toBe("from-cli");
+
+    expect(daemon.requests.length).toBe(2);
+    expect($mock.calls.length).toBe(3);
+    expect(logs.filter((l) => l.level === "warn")).toHaveLength(1);
+  });
+
+  it("socket mode runs what the daemon doesn't serve through the CLI", async () => {
+    const daemon = await startFakeDaemon(() => ({
+      error: { code: -32601, message: "method not found" },
+    }));
+    const $mock = make$();
+    const transport = createTransport({ mode: "socket", $: $mock, socketPath: daemon.path });
+    cleanups.push(daemon.close, async () => transport.close());
+
+    expect(await transport.exec(["capture", "hook", "prompt"])).toBe("from-cli");
+    expect(await transport.exec(["capture", "hook", "prompt"])).toBe("from-cli");
+    // Commands without a socket route never try the socket
+    expect(await transport.exec(["suggest", "prompt", "show", "k"])).toBe("from-cli");
+    expect(daemon.requests.length).toBe(1);
+    expect($mock.calls.length).toBe(3);
+  });
+
+  it("socket mode falls back to the CLI when the socket never answers", async () => {
+    const daemon = await startFakeDaemon(() => undefined);
+    const $mock = make$();
+    const transport = createTransport({
+      mode: "socket",
+      $: $mock,
+      socketPath: daemon.path,
+      timeoutMs: 20,
+    });
+    cleanups.push(daemon.close, async () => transport.close());
+
+    expect(await transport.exec(["capture", "hook", "prompt"])).toBe("from-cli");
+    expect(await transport.exec(["capture", "hook", "prompt"])).toBe("from-cli");
+    expect(daemon.requests.length).toBe(1);
+  });
+
+  it("socket mode reports an unreachable daemon instead of using the CLI", async () => {
+    const $mock = make$();
+    const transport = createTransport({
+      mode: "socket",
+      $: $mock,
+      socketPath: "/tmp/definitely-missing-sage.sock",
+    });
+    cleanups.push(async () => transport.close());
+
+    const err = await transport.exec(["capture", "hook", "prompt"]).catch((e) => e);
+    expect(err.unreachable).toBe(true);
+    expect($mock.calls.length).toBe(0);
+  });
+
+  it("socket transport keeps the connection when an answering daemon is slow", async () => {
+    let reply = true;
+    const daemon = await startFakeDaemon(() => (reply ? { result: "ok" } : undefined));
+    const socket = createSocketTransport({ socketPath: daemon.path, timeoutMs: 20 });
+    cleanups.push(daemon.close, async () => socket.close());
+
+    expect(await socket.exec(["capture", "hook", "prompt"])).toBe("ok");
+    reply = false;
+    const err = await socket.exec(["capture", "hook", "prompt"]).catch((e) => e);
+    expect(err.code).toBe("ETIMEDOUT");
+    expect(err.unreachable).toBeUndefined();
+    expect(daemon.connections()).toBe(1);
+  });
+});